@@ -6,73 +6,466 @@
 /**
  * コメントを処理する
  * @param {string} postId 投稿ID
- * @param {string} token アクセストークン
- * @param {number} fetchLimit 取得件数
- * @param {Array} rules ルール配列
- * @param {Set} processedSet 処理済みコメントIDのSet
+ * @param {Object} ctx ページ単位の処理コンテキスト
+ *   {page: {id, name}, token, fetchLimit, rules, ngWords, processedSet, pagingOptions, userLimits, commentScope, dryRun}
+ *   rules・ngWords は対象ページに適用されるもののみ（filterRulesForPage参照）。対象投稿による絞り込みは handleComment() で行う
+ *   dryRun が true の場合は送信せずプレビューシートに記録する（取得の再開位置も保存しない）
  */
-function processComments(postId, token, fetchLimit, rules, processedSet) {
-  const comments = fetchComments(postId, token, fetchLimit);
+function processComments(postId, ctx) {
+  const { token, fetchLimit, pagingOptions } = ctx;
+  const comments = fetchComments(postId, token, fetchLimit, Object.assign({ resume: !ctx.dryRun }, pagingOptions));
   
   for (const comment of comments) {
-    const commentId = comment.id;
-    if (processedSet.has(commentId)) continue; // 既読スキップ
-
-    const message = (comment.message || '').toString();
-    const name = (comment.from && comment.from.name) ? comment.from.name : '';
-
-    // キーワードマッチング
-    const matchedRule = findMatchingRule(message, rules);
-    if (!matchedRule) {
-      appendProcessed(commentId, comment.created_time);
-      logComment(postId, commentId, name, message, '', '', 'no_match', '');
-      continue;
+    handleComment(postId, comment, ctx);
+  }
+}
+
+/**
+ * コメント1件を判定して返信・記録する（ポーリングとWebhookで共通）
+ * ページ自身のコメントは何もしない。NGワードを返信ルールより先に判定し、該当した場合は返信せずモデレーションのみ行う
+ * @param {string} postId 投稿ID
+ * @param {Object} comment コメント {id, message, from{id,name}, created_time, parent{id}, message_tags}
+ * @param {Object} ctx processComments() と同じ処理コンテキスト（fetchLimit, pagingOptions は不要）
+ * @return {string} 処理結果のステータス（処理済み・自身のコメントでスキップした場合は 'skipped'、返信対象外は 'out_of_scope'、ドライランは 'dry_run'）
+ */
+function handleComment(postId, comment, ctx) {
+  const { page, processedSet } = ctx;
+  const rules = filterRulesForPost(ctx.rules, postId); // 「対象投稿」で限定されたルールは処理中の投稿にのみ適用
+  const commentId = comment.id;
+  if (processedSet.has(commentId)) return 'skipped'; // 既読スキップ（自動返信したコメントのIDを含む）
+  if (isOwnPageComment(comment, page)) return 'skipped'; // 自分への返信ループを防ぐ
+
+  const message = (comment.message || '').toString();
+  const name = (comment.from && comment.from.name) ? comment.from.name : '';
+
+  // NGワード判定（返信ルールより優先）
+  const ngWord = findNgWord(message, ctx.ngWords);
+  if (ngWord) {
+    const status = moderateComment(postId, comment, ngWord, ctx);
+    if (status !== 'error' && !ctx.dryRun) processedSet.add(commentId);
+    return status;
+  }
+
+  // 返信対象の範囲外（返信コメント）は返信せず処理済みにする（設定を後から変えても過去の返信コメントにまとめて返信しない）
+  if (!isInCommentScope(comment, page, ctx.commentScope)) {
+    const scopeReason = `返信対象コメント（${ctx.commentScope}）の範囲外です`;
+    if (ctx.dryRun) {
+      appendPreview(postId, comment, page, '返信対象外', { note: scopeReason });
+      return 'dry_run';
     }
+    appendProcessed(commentId, comment.created_time, postId);
+    processedSet.add(commentId);
+    logComment(postId, commentId, name, message, '', scopeReason, 'out_of_scope', '', { pageId: page.id, userId: getCommentUserId(comment) });
+    return 'out_of_scope';
+  }
+
+  // キーワードマッチング（有効期間外のルールだけに一致した場合は理由をログに残す）
+  const matchedRule = findMatchingRule(message, rules);
+  if (!matchedRule) {
+    const inactiveReason = describeInactiveMatchingRules(message, rules, new Date());
+    if (ctx.dryRun) {
+      appendPreview(postId, comment, page, 'マッチなし', { note: inactiveReason });
+      return 'dry_run';
+    }
+    appendProcessed(commentId, comment.created_time, postId);
+    processedSet.add(commentId);
+    logComment(postId, commentId, name, message, '', inactiveReason, 'no_match', '', { pageId: page.id, userId: getCommentUserId(comment) });
+    return 'no_match';
+  }
+
+  const status = deliverReply(postId, comment, matchedRule, ctx);
+  if (status !== 'error' && status !== 'dry_run') processedSet.add(commentId);
+  return status;
+}
+
+/**
+ * メッセージに該当するNGワードを返す（削除 → 非表示 → 要確認 の順に優先、同順位はシート上の順）
+ * @param {string} message コメントメッセージ
+ * @param {Array} ngWords loadNgWords() の結果
+ * @return {Object|null} 該当したNGワード
+ */
+function findNgWord(message, ngWords) {
+  const matched = (ngWords || []).filter(ng => matchesRule(message, ng));
+  if (matched.length === 0) return null;
+  return matched.sort((a, b) => (NG_ACTIONS.indexOf(a.action) - NG_ACTIONS.indexOf(b.action)) || (a.row - b.row))[0];
+}
+
+/**
+ * NGワードのアクション（削除/非表示/要確認）を実行してログに記録する
+ * 成功したコメントは処理済みにする。失敗時は処理済みにせず次回再試行する
+ * @param {string} postId 投稿ID
+ * @param {Object} comment コメント {id, message, from{name}, created_time}
+ * @param {Object} ngWord findNgWord() の結果
+ * @param {Object} ctx 処理コンテキスト {page, token, dryRun}
+ * @return {string} ログのステータス（deleted / hidden / flagged / error。ドライランは dry_run）
+ */
+function moderateComment(postId, comment, ngWord, ctx) {
+  const { page, token } = ctx;
+  const commentId = comment.id;
+  const message = (comment.message || '').toString();
+  const name = (comment.from && comment.from.name) ? comment.from.name : '';
+  const reason = `NGワード: ${ngWord.keyword}（行${ngWord.row}）` + (ngWord.note ? ` ${ngWord.note}` : '');
+
+  if (ctx.dryRun) {
+    appendPreview(postId, comment, page, `NGワード（${ngWord.action}）`, { rule: `NGワード 行${ngWord.row}`, keyword: ngWord.keyword, note: ngWord.note });
+    return 'dry_run';
+  }
+
+  try {
+    if (ngWord.action === '削除') deleteComment(commentId, token);
+    else if (ngWord.action === '非表示') hideComment(commentId, token);
+
+    const status = NG_ACTION_STATUS[ngWord.action];
+    appendProcessed(commentId, comment.created_time, postId);
+    logComment(postId, commentId, name, message, ngWord.keyword, reason, status, '', { pageId: page.id, channel: 'モデレーション', userId: getCommentUserId(comment) });
+    return status;
+  } catch (error) {
+    logComment(postId, commentId, name, message, ngWord.keyword, reason, 'error', `${ngWord.action}: ${error && error.message ? error.message : error}`, { pageId: page.id, channel: 'モデレーション', userId: getCommentUserId(comment) });
+    reportError(ERROR_CATEGORIES.REPLY, `${page.name} / コメント ${commentId}（${ngWord.action}）`, error);
+    return 'error';
+  }
+}
+
+/**
+ * ルールのアクションに従って公開返信・非公開返信（Messenger）・いいねを行い、ログに記録する
+ * いずれかに成功したコメントは処理済みにする（再実行で同じ返信を重ねないため）
+ * 投稿者がユーザー単位の返信制限に該当する場合は送信せず user_limited として処理済みにする
+ * ドライランでは送信・記録せず、返信内容をプレビューシートに記録する
+ * @param {string} postId 投稿ID
+ * @param {Object} comment コメント {id, message, from{id,name}, created_time}
+ * @param {Object} rule findMatchingRule() が返したルール
+ * @param {Object} ctx 処理コンテキスト {page, token, userLimits, processedSet, dryRun}
+ * @return {string} 'replied'（返信成功）/ 'liked'（いいねのみ成功）/ 'user_limited'（返信制限）/ 'dry_run'（ドライラン）/ 'error'
+ */
+function deliverReply(postId, comment, rule, ctx) {
+  const { page, token, userLimits } = ctx;
+  const commentId = comment.id;
+  const message = (comment.message || '').toString();
+  const name = (comment.from && comment.from.name) ? comment.from.name : '';
+  const userId = getCommentUserId(comment);
+
+  // ユーザー単位の返信制限（同一投稿・返信間隔・1日の上限）
+  const limitReason = checkUserReplyLimit(userLimits, comment, postId);
+  if (limitReason && ctx.dryRun) {
+    appendPreview(postId, comment, page, '返信制限', { rule: `行${rule.row}`, keyword: rule.keyword, note: limitReason });
+    return 'dry_run';
+  }
+  if (limitReason) {
+    appendProcessed(commentId, comment.created_time, postId);
+    logComment(postId, commentId, name, message, rule.keyword, limitReason, 'user_limited', '', { pageId: page.id, userId });
+    return 'user_limited';
+  }
 
-    // 返信処理
-    const replyText = generateReply(matchedRule.template, name);
+  // 返信処理（バリエーションを重みで抽選）
+  const reply = generateReply(rule, { name, message, postId, page });
+  // いいね付きのルールは内容が空のチャネルを送らない（いいねのみのルールを含む）
+  const sendPublic = reply.action !== '非公開返信' && !(reply.like && !reply.text);
+  const sendPrivate = reply.action !== '公開返信' && !(reply.like && !reply.privateText);
+  const channel = sendPublic && sendPrivate ? '公開+非公開' : (sendPrivate ? '非公開' : (sendPublic ? '公開' : ''));
+  const replyText = sendPublic && sendPrivate ? `公開: ${reply.text}\n非公開: ${reply.privateText}` : (sendPrivate ? reply.privateText : (sendPublic ? reply.text : ''));
+
+  if (ctx.dryRun) {
+    // 同じ実行内の返信制限を本番と同じように判定するため、返信履歴（メモリ上のみ）には追加する
+    recordUserReply(userLimits, userId, postId);
+    appendPreview(postId, comment, page, channel ? `返信（${channel}）` : (reply.like ? 'いいねのみ' : '送信なし'), {
+      rule: reply.variant, keyword: rule.keyword,
+      text: sendPublic ? reply.text : '', privateText: sendPrivate ? reply.privateText : '', like: reply.like,
+      note: reply.unknown.length > 0 ? `未定義の変数を除去: ${reply.unknown.join(', ')}` : ''
+    });
+    return 'dry_run';
+  }
+
+  const errors = [];
+  let sent = 0;
+  if (sendPublic) {
+    try {
+      const replyId = postReply(commentId, reply.text, token);
+      // 自動返信自体を処理済みにし、返信にキーワードが含まれていても反応しないようにする
+      appendProcessed(replyId, new Date().toISOString(), postId);
+      if (ctx.processedSet) ctx.processedSet.add(String(replyId));
+      sent++;
+    } catch (error) {
+      errors.push({ label: '公開返信', error });
+    }
+  }
+  if (sendPrivate) {
+    try {
+      if (!reply.privateText) throw new Error('非公開返信内容が空です');
+      sendPrivateReply(page.id, commentId, reply.privateText, token);
+      sent++;
+    } catch (error) {
+      errors.push({ label: '非公開返信', error });
+    }
+  }
+  let likeStatus = '';
+  if (reply.like) {
     try {
-      postReply(commentId, replyText, token);
-      appendProcessed(commentId, comment.created_time);
-      logComment(postId, commentId, name, message, matchedRule.keyword, replyText, 'replied', '');
-      Utilities.sleep(300); // レート制限緩和
+      likeComment(commentId, token);
+      likeStatus = 'liked';
     } catch (error) {
-      logComment(postId, commentId, name, message, matchedRule.keyword, replyText, 'error', String(error && error.message ? error.message : error));
+      likeStatus = 'error';
+      errors.push({ label: 'いいね', error });
     }
   }
+
+  const errorText = errors.map(({ label, error }) => `${label}: ${error && error.message ? error.message : error}`)
+    .concat(reply.unknown.length > 0 ? [`未定義の変数を除去: ${reply.unknown.join(', ')}`] : [])
+    .join(' / ');
+  errors.forEach(({ label, error }) => reportError(ERROR_CATEGORIES.REPLY, `${page.name} / コメント ${commentId}（${label}）`, error));
+
+  // ステータスは返信の結果。返信しなかった（または失敗した）場合はいいねの結果
+  const status = sent > 0 ? 'replied' : (likeStatus === 'liked' ? 'liked' : 'error');
+  if (status !== 'error') {
+    appendProcessed(commentId, comment.created_time, postId);
+    recordUserReply(userLimits, userId, postId);
+  }
+  logComment(postId, commentId, name, message, rule.keyword, replyText, status, errorText, { variant: reply.variant, pageId: page.id, channel, like: likeStatus, userId });
+  return status;
+}
+
+/**
+ * コメント投稿者のIDを返す
+ * @param {Object} comment コメント {from{id,name}}
+ * @return {string} 投稿者ID（取得できない場合は空文字）
+ */
+function getCommentUserId(comment) {
+  return comment.from && comment.from.id ? String(comment.from.id) : '';
+}
+
+/**
+ * ページ自身が投稿したコメント（自動返信を含む）かどうか
+ * @param {Object} comment コメント {from{id}}
+ * @param {Object} page ページ {id}
+ * @return {boolean} ページ自身のコメントなら true
+ */
+function isOwnPageComment(comment, page) {
+  return getCommentUserId(comment) === String(page.id);
+}
+
+/**
+ * コメントが設定「返信対象コメント」の範囲内かどうか
+ * メンションは message_tags のページIDで判定する。message_tags を受け取れない Webhook の通知のみ、本文にページ名を含むかで判定する
+ * （Graph API はタグのないコメントでは message_tags を省略するため、取得したコメントはタグがなければメンションなしとする）
+ * @param {Object} comment コメント {message, parent{id}, message_tags, viaWebhook}
+ * @param {Object} page ページ {id, name}
+ * @param {string} scope COMMENT_SCOPES のいずれか（未指定は「返信を含む」）
+ * @return {boolean} 範囲内なら true
+ */
+function isInCommentScope(comment, page, scope) {
+  const isReply = !!(comment.parent && comment.parent.id);
+  if (!isReply || scope === '返信を含む' || !COMMENT_SCOPES.includes(scope)) return true;
+  if (scope === 'トップレベルのみ') return false;
+
+  if (Array.isArray(comment.message_tags)) {
+    return comment.message_tags.some(tag => String(tag.id) === String(page.id));
+  }
+  return comment.viaWebhook === true && !!page.name && String(comment.message || '').includes(page.name);
+}
+
+/**
+ * 設定から返信対象コメントの範囲を取得する
+ * @param {Map} settings 設定Map
+ * @return {string} COMMENT_SCOPES のいずれか（不正な値は「返信を含む」）
+ */
+function getCommentScope(settings) {
+  const scope = String(settings.get('返信対象コメント') || '').trim();
+  return COMMENT_SCOPES.includes(scope) ? scope : '返信を含む';
+}
+
+/**
+ * ページに適用されるルールだけを抽出する
+ * ルールの「ページ」列が空なら全ページに適用、指定があればページIDまたはページ名で判定
+ * @param {Array} rules ルール配列
+ * @param {Object} page ページ {id, name}
+ * @return {Array} 対象ページのルール配列
+ */
+function filterRulesForPage(rules, page) {
+  return (rules || []).filter(rule =>
+    !rule.pages || rule.pages.length === 0 || rule.pages.some(ref => matchesPageRef(ref, page))
+  );
 }
 
 /**
  * メッセージにマッチするルールを検索する
+ * 優先順位（小さいほど優先）→ 重み（大きいほど優先）→ シート上の順で1件に絞り込む。
+ * 同じキーワード・マッチタイプの行は返信バリエーションとして variants にまとめる
  * @param {string} message コメントメッセージ
  * @param {Array} rules ルール配列
- * @return {Object|null} マッチしたルール、なければnull
+ * @return {Object|null} マッチしたルール（variants付き）、なければnull
  */
 function findMatchingRule(message, rules) {
-  return rules.find(rule => 
-    rule.enabled && 
-    rule.keyword && 
-    message.toLowerCase().includes(rule.keyword.toLowerCase())
-  );
+  const matched = findMatchingRules(message, rules);
+  if (matched.length === 0) return null;
+
+  const winner = matched[0];
+  const siblings = matched.filter(r => r.keyword === winner.keyword && r.matchType === winner.matchType);
+  return Object.assign({}, winner, { variants: buildReplyVariants(siblings) });
+}
+
+/**
+ * メッセージにマッチする全ルールを優先度順で返す（有効期間外のルールは除く）
+ * @param {string} message コメントメッセージ
+ * @param {Array} rules ルール配列
+ * @return {Array} マッチしたルール配列（先頭が採用ルール）
+ */
+function findMatchingRules(message, rules) {
+  const now = new Date();
+  return (rules || [])
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => rule.enabled && rule.keyword && !getRuleInactiveReason(rule, now) && matchesRule(message, rule))
+    .sort((a, b) =>
+      (a.rule.priority - b.rule.priority) ||
+      (b.rule.weight - a.rule.weight) ||
+      (a.index - b.index)
+    )
+    .map(({ rule }) => rule);
+}
+
+/**
+ * ルールのマッチタイプに従ってメッセージを判定する
+ * @param {string} message コメントメッセージ
+ * @param {Object} rule ルール
+ * @return {boolean} マッチしたかどうか
+ */
+function matchesRule(message, rule) {
+  const keyword = String(rule.keyword || '');
+  if (!keyword) return false;
+
+  if (rule.matchType === '正規表現') {
+    try {
+      return new RegExp(keyword, 'i').test(String(message || ''));
+    } catch (e) {
+      console.warn(`正規表現が不正なためスキップします: ${keyword}`, e && e.message ? e.message : e);
+      return false;
+    }
+  }
+
+  const text = normalizeForMatch(message);
+  const kw = normalizeForMatch(keyword);
+  switch (rule.matchType) {
+    case '完全一致': return text === kw;
+    case '前方一致': return text.startsWith(kw);
+    case '後方一致': return text.endsWith(kw);
+    case '部分一致':
+    default:
+      return text.includes(kw);
+  }
+}
+
+/**
+ * マッチ判定用に文字列を正規化する（全角/半角・大文字/小文字・前後空白を吸収）
+ * @param {string} value 対象文字列
+ * @return {string} 正規化後の文字列
+ */
+function normalizeForMatch(value) {
+  return String(value || '').normalize('NFKC').trim().toLowerCase();
+}
+
+/**
+ * ルール行から返信バリエーションを組み立てる
+ * 1セル内は「---」だけの行で区切って複数記述でき、行の重みをセル内の件数で等分する
+ * 非公開返信のみ・いいね付きの行は公開返信内容が空でも1件のバリエーションとして扱う
+ * @param {Array} rules 同一キーワードのルール配列
+ * @return {Array} バリエーション配列 [{template, privateTemplate, action, like, weight, label}]
+ */
+function buildReplyVariants(rules) {
+  const variants = [];
+  rules.forEach(rule => {
+    const action = rule.action || '公開返信';
+    const parsed = splitTemplateVariants(rule.template);
+    const templates = parsed.length > 0 ? parsed : (action === '非公開返信' || rule.like ? [''] : []);
+    templates.forEach((template, i) => {
+      variants.push({
+        template,
+        privateTemplate: rule.privateTemplate || '',
+        action,
+        like: !!rule.like,
+        weight: rule.weight / templates.length,
+        label: templates.length > 1 ? `行${rule.row}#${i + 1}/${templates.length}` : `行${rule.row}`
+      });
+    });
+  });
+  return variants;
+}
+
+/**
+ * 1セル内の返信内容を「---」区切りで分割する
+ * @param {string} template 返信内容
+ * @return {Array<string>} 空でないテンプレート配列
+ */
+function splitTemplateVariants(template) {
+  return String(template || '')
+    .split(/^[ \t]*-{3,}[ \t]*$/m)
+    .map(t => t.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 重みに比例してランダムに1件選ぶ（重みが全て0以下なら均等）
+ * @param {Array} items {weight} を持つ配列
+ * @return {Object|null} 選ばれた要素
+ */
+function pickWeighted(items) {
+  if (!items || items.length === 0) return null;
+  const total = items.reduce((sum, item) => sum + Math.max(0, Number(item.weight) || 0), 0);
+  if (total <= 0) return items[Math.floor(Math.random() * items.length)];
+
+  let r = Math.random() * total;
+  for (const item of items) {
+    r -= Math.max(0, Number(item.weight) || 0);
+    if (r < 0) return item;
+  }
+  return items[items.length - 1];
+}
+
+/**
+ * 返信テキストを生成する（バリエーションを重みで抽選し、テンプレートを展開）
+ * 非公開返信内容も「---」区切りで複数書ける（均等に抽選）
+ * @param {Object} rule findMatchingRule() が返したルール
+ * @param {Object|string} context テンプレートの文脈 {name, message, postId, page}（文字列の場合は投稿者名）
+ * @return {Object} {text, privateText, action, like, variant, unknown}
+ *   返信テキスト・非公開返信テキスト・アクション・いいねの有無・採用したバリエーション・除去した未定義の変数
+ */
+function generateReply(rule, context) {
+  const templateContext = typeof context === 'string' ? { name: context } : (context || {});
+  const variants = rule.variants || buildReplyVariants([rule]);
+  const chosen = pickWeighted(variants);
+  const template = chosen ? chosen.template : String(rule.template || '');
+  const privateChosen = pickWeighted(splitTemplateVariants(chosen ? chosen.privateTemplate : rule.privateTemplate)
+    .map(t => ({ template: t, weight: 1 })));
+  const rendered = renderReplyTemplate(template, templateContext);
+  const renderedPrivate = renderReplyTemplate(privateChosen ? privateChosen.template : '', templateContext);
+  return {
+    text: rendered.text,
+    privateText: renderedPrivate.text,
+    unknown: rendered.unknown.concat(renderedPrivate.unknown),
+    action: chosen ? chosen.action : (rule.action || '公開返信'),
+    like: chosen ? chosen.like : !!rule.like,
+    variant: chosen ? chosen.label : ''
+  };
 }
 
 /**
- * 返信テキストを生成する
- * @param {string} template テンプレート
- * @param {string} name コメント投稿者名
- * @return {string} 生成された返信テキスト
+ * 設定からコメント取得のページング上限を取得する
+ * @param {Map} settings 設定Map
+ * @return {Object} {maxPages, maxTotal}
  */
-function generateReply(template, name) {
-  return String(template || '').replaceAll('{name}', name || '');
+function getCommentPagingOptions(settings) {
+  return {
+    maxPages: parseInt(settings.get('最大ページ数') || '10', 10),
+    maxTotal: parseInt(settings.get('最大取得コメント数') || '5000', 10)
+  };
 }
 
 /**
  * 対象投稿IDを取得する
+ * 手動指定の投稿IDは getManualPostIdsForPage() でページに振り分ける
  * @param {string} token アクセストークン
  * @param {Map} settings 設定Map
+ * @param {Object} page 対象ページ {id, name, isPrimary}
  * @return {Array} 投稿ID配列
  */
-function getTargetPostIds(token, settings) {
+function getTargetPostIds(token, settings, page) {
   const manualPostIds = (settings.get('投稿ID') || '').split(',').map(s => s.trim()).filter(Boolean);
   const autoDiscovery = (settings.get('自動検出') || 'true').toLowerCase() === 'true';
   const lookbackDays = parseInt(settings.get('検索日数') || '3', 10);
@@ -80,14 +473,15 @@ function getTargetPostIds(token, settings) {
 
   // 手動指定の投稿IDがある場合はそれを使用
   if (manualPostIds.length > 0) {
-    return manualPostIds;
+    const ownPostIds = getManualPostIdsForPage(settings, page);
+    if (ownPostIds.length > 0 || getEnabledPages().length <= 1) return ownPostIds;
   }
 
   // 自動検出が有効な場合は直近投稿を取得
   if (autoDiscovery) {
     // ページトークンの妥当性を確認
     getPageInfo(token);
-    const posts = fetchRecentPosts(token, lookbackDays, postMaxCount);
+    const posts = fetchRecentPosts(token, lookbackDays, postMaxCount, page.id);
     const reels = fetchRecentReels(token, lookbackDays, postMaxCount);
     // 先に通常投稿、続いてリール。重複排除
     const seen = new Set();
@@ -100,3 +494,19 @@ function getTargetPostIds(token, settings) {
 
   return [];
 }
+
+/**
+ * 設定「投稿ID」のうち、指定ページの投稿を返す
+ * 「ページID_投稿ID」形式の接頭辞でページに振り分け、接頭辞のないIDは主ページの投稿として扱う
+ * @param {Map} settings 設定Map
+ * @param {Object} page 対象ページ {id, name, isPrimary}
+ * @return {Array} 投稿ID配列
+ */
+function getManualPostIdsForPage(settings, page) {
+  const manualPostIds = (settings.get('投稿ID') || '').split(',').map(s => s.trim()).filter(Boolean);
+  const pageIds = getEnabledPages().map(p => String(p.id));
+  return manualPostIds.filter(id => {
+    const prefix = id.includes('_') ? id.split('_')[0] : '';
+    return pageIds.includes(prefix) ? prefix === String(page.id) : page.isPrimary;
+  });
+}
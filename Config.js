@@ -10,30 +10,71 @@ const SHEET = {
   LOGS: 'ログ',
   PROCESSED: '処理済み',
   POSTS: '取得した投稿',
-  SCHEDULED: '予約投稿'
+  SCHEDULED: '予約投稿',
+  NG_WORDS: 'NGワード',
+  SCHEDULE_HISTORY: '予約投稿履歴',
+  PREVIEW: 'プレビュー'
 };
 
 // プロパティキーの定義
 const PROP_KEYS = {
-  PAGE_ACCESS_TOKEN: 'FB_PAGE_ACCESS_TOKEN',
+  PAGE_ACCESS_TOKEN: 'FB_PAGE_ACCESS_TOKEN', // 旧形式（単一ページ）。FB_PAGE_TOKENS へ移行済み
+  PAGE_TOKENS: 'FB_PAGE_TOKENS',             // ページごとのトークン {ページID: {id, name, token}}
   USER_ACCESS_TOKEN: 'FB_USER_ACCESS_TOKEN',
   PAGE_ID: 'FB_PAGE_ID',
   PAGE_NAME: 'FB_PAGE_NAME',
   TOKEN_EXPIRES_AT: 'FB_TOKEN_EXPIRES_AT',
   APP_ID: 'FB_APP_ID',
-  APP_SECRET: 'FB_APP_SECRET'
+  APP_SECRET: 'FB_APP_SECRET',
+  COMMENT_CURSOR_PREFIX: 'FB_COMMENT_CURSOR_', // + 投稿ID
+  ERROR_NOTIFY_STATE: 'FB_ERROR_NOTIFY_STATE',  // 種別ごとの最終通知日時と抑制件数
+  SCOPE_CHECKED_AT: 'FB_SCOPE_CHECKED_AT',      // 権限スコープを最後に確認した日時（UNIXミリ秒）
+  NATIVE_SCHEDULES: 'FB_NATIVE_SCHEDULES',       // 旧形式（全件を1つのプロパティに保存）。FB_NATIVE_SCHEDULE_ へ移行済み
+  NATIVE_SCHEDULE_PREFIX: 'FB_NATIVE_SCHEDULE_'  // + 投稿ID。Facebook に登録した予約投稿 {pageId, time, messageHash, mediaHash}
 };
 
-// Facebook API設定
+// ルールのマッチタイプ
+const MATCH_TYPES = ['完全一致', '部分一致', '前方一致', '後方一致', '正規表現'];
+
+// ルールのアクション（公開返信: コメントへの返信 / 非公開返信: Messenger でコメント投稿者に送信）
+const RULE_ACTIONS = ['公開返信', '非公開返信', '両方'];
+
+// 返信対象とするコメントの範囲（ページ自身のコメントはどの設定でも対象外）
+const COMMENT_SCOPES = ['トップレベルのみ', '返信を含む', 'メンションされた返信のみ'];
+
+// NGワードのアクション（複数マッチした場合は先頭ほど優先）とログのステータス
+const NG_ACTIONS = ['削除', '非表示', '要確認'];
+const NG_ACTION_STATUS = { '削除': 'deleted', '非表示': 'hidden', '要確認': 'flagged' };
+
+// Facebook API設定（バージョンは設定「Facebook API バージョン」から実行時に決定）
 const FB = {
-  BASE: 'https://graph.facebook.com/v23.0'
+  HOST: 'https://graph.facebook.com',
+  DEFAULT_VERSION: 'v23.0'
 };
 
+// Graph API バージョンの提供終了日（Meta の変更履歴より。null は未発表）
+// 新バージョンの公開時・提供終了日の発表時にこの表を更新する
+const GRAPH_API_VERSIONS = {
+  'v16.0': { released: '2023-02-02', sunset: '2025-05-14' },
+  'v17.0': { released: '2023-05-23', sunset: '2025-09-12' },
+  'v18.0': { released: '2023-09-12', sunset: '2026-01-26' },
+  'v19.0': { released: '2024-01-23', sunset: '2026-05-21' },
+  'v20.0': { released: '2024-05-21', sunset: '2026-09-24' },
+  'v21.0': { released: '2024-10-02', sunset: '2027-02-03' },
+  'v22.0': { released: '2025-01-21', sunset: null },
+  'v23.0': { released: '2025-05-29', sunset: null }
+};
+
+// 提供終了の何日前から警告するか
+const GRAPH_API_SUNSET_WARNING_DAYS = 90;
+
 // デフォルト設定値
 const DEFAULT_SETTINGS = {
   // 基本設定
   '投稿ID': '',
   '取得件数': '500',
+  '最大ページ数': '10',
+  '最大取得コメント数': '5000',
   '自動検出': 'true',
   '検索日数': '3',
   '最大投稿数': '10',
@@ -53,28 +94,42 @@ const DEFAULT_SETTINGS = {
   'デフォルトマッチタイプ': '部分一致',
   'デフォルト優先順位': '5',
   'デフォルト重み': '100',
+  '返信対象コメント': '返信を含む',
+  'ユーザー返信上限（投稿ごと）': '1',
+  'ユーザー返信間隔（分）': '0',
+  'ユーザー返信上限（1日）': '0',
+  'ドライラン': 'false',
   
   // システム設定
-  'Facebook API バージョン': 'v23.0',
+  'Facebook API バージョン': FB.DEFAULT_VERSION,
   'レート制限待機時間': '300',
+  '予約投稿の方式': 'スクリプト',
   'ログ保持日数': '30',
-  'エラー通知設定': 'false'
+  'ログ整理方法': 'アーカイブ',
+  'アーカイブ先スプレッドシートID': '',
+  'Webhook検証トークン': '',
+  'Webhook署名検証': 'true',
+  'エラー通知設定': 'false',
+  '通知先メールアドレス': '',
+  '通知間隔（分）': '60'
 };
 
 // 設定の説明
 const SETTING_DESCRIPTIONS = {
   // 基本設定
   '投稿ID': 'カンマ区切りで投稿IDを入力（空なら自動検出が有効）',
-  '取得件数': '1回のコメント取得件数（MVPでは1ページのみ）',
+  '取得件数': '1ページあたりのコメント取得件数（最大500）',
+  '最大ページ数': '1投稿・1回の実行で辿るコメントの最大ページ数（超えた分は次回の実行で続きから取得）',
+  '最大取得コメント数': '1投稿・1回の実行で取得するコメントの最大件数',
   '自動検出': '投稿IDが空なら直近投稿を自動収集',
   '検索日数': '自動収集する過去日数（整数）',
   '最大投稿数': '1回に対象とする最大投稿数（整数）',
   
   // トークン関連
   '長期トークン': 'Facebook長期アクセストークン（自動設定）',
-  'ページトークン': 'Facebookページアクセストークン（自動設定）',
-  'ページ名': 'Facebookページ名（自動設定）',
-  'ページID': 'FacebookページID（自動設定）',
+  'ページトークン': '主ページのFacebookページアクセストークン（自動設定）',
+  'ページ名': '運用中のFacebookページ名（自動設定。カンマ区切り、先頭が主ページ）',
+  'ページID': '運用中のFacebookページID（トークン設定で選択。トークン更新時もこのIDのページを使用）',
   'トークン有効期限': 'トークンの有効期限（自動設定）',
   '最終更新日時': '最後にトークンを更新した日時（自動設定）',
   'スクリプトID': 'このGoogle Apps ScriptのスクリプトID（自動設定）',
@@ -85,12 +140,24 @@ const SETTING_DESCRIPTIONS = {
   'デフォルトマッチタイプ': '新規ルールのデフォルトマッチタイプ',
   'デフォルト優先順位': '新規ルールのデフォルト優先順位',
   'デフォルト重み': '新規ルールのデフォルト重み',
+  '返信対象コメント': '投稿へのコメントだけに返信するか（トップレベルのみ/返信を含む/メンションされた返信のみ）。ページ自身のコメントには常に返信しない',
+  'ユーザー返信上限（投稿ごと）': '同じユーザーに同じ投稿で返信する最大回数（0で無制限）',
+  'ユーザー返信間隔（分）': '同じユーザーに前回返信してから次に返信するまでの最短間隔（投稿をまたいで適用。0で無効）',
+  'ユーザー返信上限（1日）': '同じユーザーに1日（スプレッドシートのタイムゾーン）に返信する最大回数（全投稿合計。0で無制限）',
+  'ドライラン': 'true にすると自動返信（トリガー・Webhookを含む）で返信・いいね・モデレーションを送信せず、判定結果をプレビューシートに記録（処理済みにもしない。同じコメントは1回だけ記録し、メニューのドライランでシートを作り直す）',
   
   // システム設定
-  'Facebook API バージョン': '使用するFacebook Graph APIのバージョン',
+  'Facebook API バージョン': '使用するFacebook Graph APIのバージョン（例: v23.0。全エンドポイントに反映）',
   'レート制限待機時間': 'API呼び出し間の待機時間（ミリ秒）',
-  'ログ保持日数': 'ログを保持する日数',
-  'エラー通知設定': 'エラー発生時の通知設定（true/false）'
+  '予約投稿の方式': 'スクリプト: 5分ごとのトリガーで予約日時を過ぎた行を投稿 / Facebook予約: 10分後〜30日後の行を Facebook の予約投稿として登録し、編集・取り消しを同期',
+  'ログ保持日数': 'ログ・処理済みを保持する日数（毎日の整理で超過分を移動/削除。0で整理しない）',
+  'ログ整理方法': '保持日数を過ぎた行の扱い（アーカイブ/削除）',
+  'アーカイブ先スプレッドシートID': 'アーカイブの保存先（空欄ならこのスプレッドシート内の月別シート「ログ_yyyy-MM」等）',
+  'Webhook検証トークン': 'Webhook 購読時の検証トークン（メニュー「Webhook 設定情報」で自動生成）',
+  'Webhook署名検証': 'Webhook の X-Hub-Signature-256 をアプリシークレットで検証するか（true/false。中継が必要。false の場合は通知のコメントを Graph API から取得し直して処理）',
+  'エラー通知設定': 'エラー発生時にメールで通知するか（true/false）',
+  '通知先メールアドレス': 'エラー通知の宛先（カンマ区切りで複数可。空欄ならスクリプト実行ユーザー）',
+  '通知間隔（分）': '同じ種別のエラーを再通知するまでの最短間隔（その間の件数は次の通知にまとめる）'
 };
 
 /**
@@ -0,0 +1,71 @@
+/**
+ * ドライラン
+ * 自動返信と同じ処理（コメント取得→NGワード→ルール判定→返信内容の生成）を行うが、返信・非公開返信・いいね・モデレーションは送信せず、
+ * 各コメントの判定結果をプレビューシートに記録する（ログ・処理済みには記録しないため、本番の実行に影響しない）
+ * 設定「ドライラン」が true の間はトリガー・Webhook の自動返信もドライランになる
+ * （処理済みにしないため同じコメントが毎回対象になるが、プレビューシートにはコメントごとに1行だけ記録する）
+ */
+
+// プレビューシートに記録済みのコメントID（実行中はキャッシュ）
+let previewCommentIds = null;
+
+/**
+ * 設定でドライランが有効か
+ * @param {Map} settings 設定Map
+ * @return {boolean}
+ */
+function isDryRunEnabled(settings) {
+  return String(settings.get('ドライラン') || 'false').trim().toLowerCase() === 'true';
+}
+
+/**
+ * プレビューシートに判定結果を1行追記する（記録済みのコメントは追記しない）
+ * @param {string} postId 投稿ID
+ * @param {Object} comment コメント {id, message, from{name}}
+ * @param {Object} page ページ {id, name}
+ * @param {string} decision 判定（返信 / いいねのみ / マッチなし / 返信制限 / NGワード（削除）など）
+ * @param {Object} detail 任意 {rule, keyword, text, privateText, like, note}
+ */
+function appendPreview(postId, comment, page, decision, detail) {
+  ensureSheetIfMissing(SHEET.PREVIEW, PREVIEW_HEADERS);
+  const sh = SpreadsheetApp.getActive().getSheetByName(SHEET.PREVIEW);
+  if (!previewCommentIds) {
+    const idCol = PREVIEW_HEADERS.indexOf('コメントID') + 1;
+    previewCommentIds = new Set(sh.getLastRow() >= 2
+      ? sh.getRange(2, idCol, sh.getLastRow() - 1, 1).getValues().map(row => String(row[0]))
+      : []);
+  }
+  if (previewCommentIds.has(String(comment.id))) return;
+  previewCommentIds.add(String(comment.id));
+
+  const d = detail || {};
+  sh.appendRow([
+    new Date(), page ? page.name : '', postId, comment.id,
+    comment.from && comment.from.name ? comment.from.name : '', String(comment.message || ''),
+    decision, d.rule || '', d.keyword || '', d.text || '', d.privateText || '', d.like ? 'する' : '', d.note || ''
+  ]);
+}
+
+/**
+ * ドライランを手動実行する（プレビューシートを空にしてから、全ページの対象投稿を判定し直す）
+ */
+function runDryRun() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    ensureSheetIfMissing(SHEET.PREVIEW, PREVIEW_HEADERS);
+    const sh = SpreadsheetApp.getActive().getSheetByName(SHEET.PREVIEW);
+    if (sh.getLastRow() >= 2) sh.getRange(2, 1, sh.getLastRow() - 1, sh.getLastColumn()).clearContent();
+    previewCommentIds = new Set();
+
+    fetchAndRespond({ dryRun: true });
+
+    const count = Math.max(0, sh.getLastRow() - 1);
+    ui.alert(
+      '✅ ドライランが完了しました（返信は送信していません）。\n\n' +
+      `判定したコメント: ${count} 件\n` +
+      `結果は「${SHEET.PREVIEW}」シートを確認してください。`
+    );
+  } catch (e) {
+    ui.alert(`❌ ドライランでエラー: ${e && e.message ? e.message : e}`);
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * エラー通知
+ * 「エラー通知設定」が true の場合、実行中に発生したエラーをまとめてメール（MailApp）で通知する
+ * 同じ種別のエラーは「通知間隔（分）」の間は再送せず、件数と数件の内容を持ち越して、間隔が過ぎた後の実行で通知する
+ * （新しいエラーがなくても、5分毎の予約投稿トリガーなどの実行の最後に持ち越し分を送る）
+ */
+
+// エラー種別
+const ERROR_CATEGORIES = {
+  TOKEN: 'トークン更新',
+  SCOPE: '権限不足',
+  REPLY: 'コメント返信',
+  AUTO_REPLY: '自動返信',
+  SCHEDULED: '予約投稿'
+};
+
+// 1種別あたりメール本文に載せる最大件数
+const ERROR_NOTIFY_MAX_SAMPLES = 5;
+
+// 通知間隔内で持ち越すエラー内容の件数と1件あたりの文字数（プロパティの容量制限のため）
+const ERROR_NOTIFY_HELD_SAMPLES = 3;
+const ERROR_NOTIFY_HELD_MESSAGE_LENGTH = 200;
+
+// 実行中に発生したエラー（flushErrorNotifications() で送信）
+const pendingErrorNotifications = [];
+
+/**
+ * エラーを通知キューに追加する
+ * Graph API の権限エラーは種別に関わらず「権限不足」として扱う
+ * @param {string} category エラー種別（ERROR_CATEGORIES）
+ * @param {string} summary 概要（対象のページ・投稿など）
+ * @param {*} error Error またはメッセージ
+ */
+function reportError(category, summary, error) {
+  const resolved = error && typeof error === 'object' && isGraphPermissionError(error) ? ERROR_CATEGORIES.SCOPE : category;
+  pendingErrorNotifications.push({
+    category: resolved,
+    summary: summary || '',
+    message: String(error && error.message ? error.message : (error || '')),
+    at: new Date()
+  });
+}
+
+/**
+ * キューのエラーと、通知間隔が過ぎた持ち越し分のエラーを1通のメールにまとめて送信する（トリガー実行の最後に呼ぶ）
+ * 通知が無効・宛先なしの場合は破棄する
+ */
+function flushErrorNotifications() {
+  const entries = pendingErrorNotifications.splice(0, pendingErrorNotifications.length);
+
+  try {
+    const props = PropertiesService.getScriptProperties();
+    const state = JSON.parse(props.getProperty(PROP_KEYS.ERROR_NOTIFY_STATE) || '{}');
+    const hasHeld = Object.keys(state).some(category => state[category].suppressed > 0);
+    if (entries.length === 0 && !hasHeld) return;
+
+    const settings = getSettings();
+    if (String(settings.get('エラー通知設定') || 'false').toLowerCase() !== 'true') return;
+
+    const recipients = getErrorNotificationRecipients(settings);
+    if (recipients.length === 0) {
+      console.warn('エラー通知の宛先が設定されていないため通知をスキップします');
+      return;
+    }
+
+    const intervalMs = Math.max(0, parseInt(settings.get('通知間隔（分）') || '60', 10) || 0) * 60 * 1000;
+    const now = Date.now();
+
+    // 種別ごとにまとめる（新しいエラーがなくても持ち越し分のある種別は対象）
+    const groups = new Map();
+    Object.keys(state).filter(category => state[category].suppressed > 0).forEach(category => groups.set(category, []));
+    entries.forEach(entry => {
+      if (!groups.has(entry.category)) groups.set(entry.category, []);
+      groups.get(entry.category).push(entry);
+    });
+
+    // 通知間隔内の種別は件数と数件の内容を持ち越し、間隔を過ぎた種別を通知する
+    const sections = [];
+    groups.forEach((items, category) => {
+      const prev = state[category] || { sentAt: 0, suppressed: 0, samples: [] };
+      const held = (prev.samples || []).map(sample => ({ summary: sample.summary, message: sample.message, at: new Date(sample.at) }));
+      if (now - prev.sentAt < intervalMs) {
+        const samples = held.concat(items).slice(0, ERROR_NOTIFY_HELD_SAMPLES).map(item => ({
+          summary: item.summary,
+          message: item.message.slice(0, ERROR_NOTIFY_HELD_MESSAGE_LENGTH),
+          at: item.at.getTime()
+        }));
+        state[category] = { sentAt: prev.sentAt, suppressed: prev.suppressed + items.length, samples };
+        return;
+      }
+      sections.push(formatErrorSection(category, items, prev.suppressed, held));
+      state[category] = { sentAt: now, suppressed: 0, samples: [] };
+    });
+
+    if (sections.length > 0) {
+      const subject = `【${SpreadsheetApp.getActive().getName()}】エラー通知（${sections.length}種別）`;
+      const body =
+        'Facebook 自動返信ツールでエラーが発生しました。\n\n' +
+        sections.join('\n\n') +
+        `\n\n※同じ種別のエラーは ${intervalMs / 60000} 分間まとめて通知します。` +
+        '\n※通知を止める場合は設定シートの「エラー通知設定」を false にしてください。';
+      MailApp.sendEmail(recipients.join(','), subject, body);
+      console.log(`エラー通知を送信しました: ${recipients.join(', ')}`);
+    }
+    props.setProperty(PROP_KEYS.ERROR_NOTIFY_STATE, JSON.stringify(state));
+  } catch (e) {
+    // 通知の失敗で本処理を止めない
+    console.error('エラー通知の送信に失敗:', e && e.message ? e.message : e);
+  }
+}
+
+/**
+ * 通知先メールアドレスを取得する（未設定ならスクリプト実行ユーザー）
+ * @param {Map} settings 設定Map
+ * @return {Array<string>} メールアドレス配列
+ */
+function getErrorNotificationRecipients(settings) {
+  const configured = splitListCell(settings.get('通知先メールアドレス'));
+  if (configured.length > 0) return configured;
+  const email = Session.getEffectiveUser().getEmail();
+  return email ? [email] : [];
+}
+
+/**
+ * 種別ごとのメール本文を作成する
+ * @param {string} category エラー種別
+ * @param {Array} items 今回の実行で発生したエラー配列 [{summary, message, at}]
+ * @param {number} suppressed 前回通知以降に通知間隔内のため持ち越した件数
+ * @param {Array} held 持ち越したエラーの内容（先頭の数件） [{summary, message, at}]
+ * @return {string} 本文
+ */
+function formatErrorSection(category, items, suppressed, held) {
+  const samples = (held || []).concat(items);
+  const total = suppressed + items.length;
+  const lines = samples.slice(0, ERROR_NOTIFY_MAX_SAMPLES).map(item =>
+    `・${item.at.toLocaleString('ja-JP')} ${item.summary ? `[${item.summary}] ` : ''}${item.message}`
+  );
+  const shown = Math.min(samples.length, ERROR_NOTIFY_MAX_SAMPLES);
+  if (total > shown) lines.push(`・ほか ${total - shown} 件`);
+  if (suppressed > 0) lines.push(`・うち ${suppressed} 件は前回の通知以降、通知間隔内のため持ち越したエラー`);
+  return [`■ ${category}: ${total} 件`].concat(lines).join('\n');
+}
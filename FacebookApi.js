@@ -1,104 +1,158 @@
 /**
  * Facebook API操作
- * Facebook Graph APIとの通信を管理する
+ * Facebook Graph APIとの通信を管理する（通信は GraphClient.js の graphRequest() を経由）
  */
 
 /**
- * コメントを取得する
+ * コメントを取得する（カーソルページング対応）
+ * options.resume が true の場合、前回上限で打ち切った位置から取得し、停止位置を投稿ごとに保存する
  * @param {string} postId 投稿ID
  * @param {string} token アクセストークン
- * @param {number} limit 取得件数
+ * @param {number} limit 1ページあたりの取得件数
+ * @param {Object} options 任意 {maxPages, maxTotal, resume}
  * @return {Array} コメント配列
  */
-function fetchComments(postId, token, limit) {
-  // クエリ値を必ずURLエンコード（特に from{name} の { } をエンコード）
-  const fields = encodeURIComponent('id,from{name},message,created_time');
-  const url = `${FB.BASE}/${encodeURIComponent(postId)}/comments` +
-    `?fields=${fields}` +
-    `&filter=${encodeURIComponent('stream')}` +
-    `&limit=${encodeURIComponent(String(Math.min(500, Number(limit) || 500)))}` +
-    `&access_token=${encodeURIComponent(token)}`;
-
-  const res = UrlFetchApp.fetch(url, { method: 'get', muteHttpExceptions: true });
-  const code = res.getResponseCode();
-  const responseText = res.getContentText();
-  
-  if (code < 200 || code >= 300) {
-    console.error(`GET comments failed: ${code} ${responseText}`);
-    
-    // トークン期限切れエラーの場合、自動更新を試行
-    if (code === 400 && responseText.includes("Session has expired")) {
-      console.log("トークンが期限切れのため、自動更新を試行します...");
-      try {
-        const refreshSuccess = refreshToken();
-        if (refreshSuccess) {
-          const newToken = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ACCESS_TOKEN);
-          console.log("トークンが更新されました。再試行します...");
-          return fetchComments(postId, newToken, limit); // 再帰的に再試行
-        } else {
-          throw new Error("トークンの自動更新に失敗しました。手動でトークンを更新してください。");
-        }
-      } catch (refreshError) {
-        console.error("トークン更新エラー:", refreshError);
-        throw new Error(`トークンの自動更新に失敗しました: ${refreshError.message}`);
-      }
-    }
-    
-    throw new Error(`GET comments failed: ${code} ${responseText}`);
+function fetchComments(postId, token, limit, options) {
+  const opts = options || {};
+  const startCursor = opts.resume ? loadCommentCursor(postId) : '';
+  const params = {
+    fields: 'id,from{id,name},message,created_time,parent{id},message_tags',
+    filter: 'stream',
+    order: 'chronological',
+    limit: String(Math.min(500, Number(limit) || 500)),
+    after: startCursor
+  };
+
+  let result;
+  try {
+    result = fetchCommentPages(`/${encodeURIComponent(postId)}/comments`, params, 'GET comments', token, opts);
+  } catch (e) {
+    // 保存済みカーソルが不正・失効（code 100）の場合のみ先頭から取り直す。レート制限・5xx などは位置を残して再スロー
+    if (!startCursor || !e || e.code !== 100) throw e;
+    console.warn(`保存済みカーソルでの取得に失敗したため先頭から再取得します (${postId}):`, e && e.message ? e.message : e);
+    clearCommentCursor(postId);
+    return fetchComments(postId, token, limit, opts);
   }
-  
-  const json = JSON.parse(responseText);
-  return Array.isArray(json.data) ? json.data : [];
+
+  // 上限で打ち切った場合のみ続きを保存。最後まで読めたら次回は先頭から（未返信の再試行のため）
+  if (opts.resume) {
+    const resumeCursor = result.complete ? '' : (result.cursor || startCursor);
+    if (resumeCursor) saveCommentCursor(postId, resumeCursor);
+    else if (startCursor) clearCommentCursor(postId);
+  }
+  return result.comments;
 }
 
 /**
- * 直近のコメントを取得（since指定）
+ * 直近のコメントを取得（since指定、カーソルページング対応）
  * @param {string} postId 投稿ID
  * @param {string} token アクセストークン
  * @param {number} sinceMs 取得開始のUNIXミリ秒
- * @param {number} limit 取得件数（任意、既定200）
+ * @param {number} limit 1ページあたりの取得件数（任意、既定500）
+ * @param {Object} options 任意 {maxPages, maxTotal}
  * @return {Array} コメント配列
  */
-function fetchCommentsSince(postId, token, sinceMs, limit) {
-  const fields = encodeURIComponent('id,from{name},message,created_time');
-  const sinceSec = Math.floor(Number(sinceMs) / 1000);
-  const url = `${FB.BASE}/${encodeURIComponent(postId)}/comments` +
-    `?fields=${fields}` +
-    `&filter=${encodeURIComponent('stream')}` +
-    `&since=${encodeURIComponent(String(sinceSec))}` +
-    `&limit=${encodeURIComponent(String(Math.min(500, Number(limit) || 500)))}` +
-    `&access_token=${encodeURIComponent(token)}`;
-
-  const res = UrlFetchApp.fetch(url, { method: 'get', muteHttpExceptions: true });
-  const code = res.getResponseCode();
-  const responseText = res.getContentText();
-  
-  if (code < 200 || code >= 300) {
-    console.error(`GET comments(since) failed: ${code} ${responseText}`);
-    
-    // トークン期限切れエラーの場合、自動更新を試行
-    if (code === 400 && responseText.includes("Session has expired")) {
-      console.log("トークンが期限切れのため、自動更新を試行します...");
-      try {
-        const refreshSuccess = refreshToken();
-        if (refreshSuccess) {
-          const newToken = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ACCESS_TOKEN);
-          console.log("トークンが更新されました。再試行します...");
-          return fetchCommentsSince(postId, newToken, sinceMs, limit); // 再帰的に再試行
-        } else {
-          throw new Error("トークンの自動更新に失敗しました。手動でトークンを更新してください。");
-        }
-      } catch (refreshError) {
-        console.error("トークン更新エラー:", refreshError);
-        throw new Error(`トークンの自動更新に失敗しました: ${refreshError.message}`);
-      }
-    }
-    
-    throw new Error(`GET comments(since) failed: ${code} ${responseText}`);
+function fetchCommentsSince(postId, token, sinceMs, limit, options) {
+  const params = {
+    fields: 'id,from{id,name},message,created_time,parent{id},message_tags',
+    filter: 'stream',
+    order: 'chronological',
+    since: String(Math.floor(Number(sinceMs) / 1000)),
+    limit: String(Math.min(500, Number(limit) || 500))
+  };
+  return fetchCommentPages(`/${encodeURIComponent(postId)}/comments`, params, 'GET comments(since)', token, options || {}).comments;
+}
+
+/**
+ * コメント1件を取得する（署名を検証していない Webhook の通知を Graph API の内容で確認するため）
+ * @param {string} commentId コメントID
+ * @param {string} token ページアクセストークン
+ * @return {Object} コメント {id, from{id,name}, message, created_time, parent{id}, message_tags}
+ */
+function fetchComment(commentId, token) {
+  return graphRequest('get', `/${encodeURIComponent(commentId)}`, {
+    fields: 'id,from{id,name},message,created_time,parent{id},message_tags'
+  }, { token, label: 'GET comment' });
+}
+
+/**
+ * paging.next を辿ってコメントを取得する
+ * @param {string} path 最初のページのパス
+ * @param {Object} params 最初のページのクエリ
+ * @param {string} label ログ用ラベル
+ * @param {string} token アクセストークン
+ * @param {Object} options {maxPages, maxTotal}
+ * @return {Object} {comments, cursor, complete} cursor は最後に読んだページの after カーソル
+ */
+function fetchCommentPages(path, params, label, token, options) {
+  const maxPages = Math.max(1, Number(options.maxPages) || 10);
+  const maxTotal = Math.max(1, Number(options.maxTotal) || 5000);
+  const comments = [];
+  let next = path;
+  let nextParams = params;
+  let pages = 0;
+  let cursor = '';
+
+  while (next && pages < maxPages && comments.length < maxTotal) {
+    const json = graphRequest('get', next, nextParams, { token, label });
+    const data = Array.isArray(json.data) ? json.data : [];
+    const remaining = maxTotal - comments.length;
+    comments.push(...data.slice(0, remaining));
+    pages++;
+
+    // ページの途中で打ち切った場合はカーソルを進めない（次回このページから読み直す）
+    if (data.length > remaining) break;
+
+    const paging = json.paging || {};
+    const after = paging.cursors && paging.cursors.after ? paging.cursors.after : '';
+    if (after) cursor = after;
+    next = paging.next || ''; // paging.next はクエリ込みの絶対URL
+    nextParams = null;
   }
-  
-  const json = JSON.parse(responseText);
-  return Array.isArray(json.data) ? json.data : [];
+
+  if (next) console.log(`${label}: 上限に達したため取得を中断しました（${pages}ページ / ${comments.length}件）`);
+  return { comments, cursor, complete: !next };
+}
+
+/**
+ * 投稿ごとのコメント取得再開カーソルを読み込む
+ * @param {string} postId 投稿ID
+ * @return {string} after カーソル（なければ空文字）
+ */
+function loadCommentCursor(postId) {
+  return PropertiesService.getScriptProperties().getProperty(PROP_KEYS.COMMENT_CURSOR_PREFIX + postId) || '';
+}
+
+/**
+ * 投稿ごとのコメント取得再開カーソルを保存する
+ * @param {string} postId 投稿ID
+ * @param {string} cursor after カーソル
+ */
+function saveCommentCursor(postId, cursor) {
+  PropertiesService.getScriptProperties().setProperty(PROP_KEYS.COMMENT_CURSOR_PREFIX + postId, cursor);
+}
+
+/**
+ * 投稿ごとのコメント取得再開カーソルを削除する
+ * @param {string} postId 投稿ID
+ */
+function clearCommentCursor(postId) {
+  PropertiesService.getScriptProperties().deleteProperty(PROP_KEYS.COMMENT_CURSOR_PREFIX + postId);
+}
+
+/**
+ * 監視対象から外れた投稿のコメント取得再開カーソルを削除する（プロパティの容量を使い続けないため）
+ * @param {Set<string>} monitoredPostIds 監視中の投稿ID（getMonitoredPostIds参照）
+ * @return {number} 削除した件数
+ */
+function clearStaleCommentCursors(monitoredPostIds) {
+  const props = PropertiesService.getScriptProperties();
+  const stale = props.getKeys()
+    .filter(key => key.indexOf(PROP_KEYS.COMMENT_CURSOR_PREFIX) === 0)
+    .filter(key => !monitoredPostIds.has(key.slice(PROP_KEYS.COMMENT_CURSOR_PREFIX.length)));
+  stale.forEach(key => props.deleteProperty(key));
+  if (stale.length > 0) console.log(`監視対象外の投稿のコメント取得再開カーソルを削除しました: ${stale.length} 件`);
+  return stale.length;
 }
 
 /**
@@ -109,95 +163,200 @@ function fetchCommentsSince(postId, token, sinceMs, limit) {
  * @return {string} 返信ID
  */
 function postReply(commentId, message, token) {
-  const url = `${FB.BASE}/${encodeURIComponent(commentId)}/comments`;
-  const payload = { message: message, access_token: token };
-  const res = UrlFetchApp.fetch(url, { method: 'post', payload: payload, muteHttpExceptions: true });
-  const code = res.getResponseCode();
-  const responseText = res.getContentText();
-  
-  if (code < 200 || code >= 300) {
-    console.error(`POST reply failed: ${code} ${responseText}`);
-    
-    // トークン期限切れエラーの場合、自動更新を試行
-    if (code === 400 && responseText.includes("Session has expired")) {
-      console.log("トークンが期限切れのため、自動更新を試行します...");
-      try {
-        const refreshSuccess = refreshToken();
-        if (refreshSuccess) {
-          const newToken = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ACCESS_TOKEN);
-          console.log("トークンが更新されました。再試行します...");
-          return postReply(commentId, message, newToken); // 再帰的に再試行
-        } else {
-          throw new Error("トークンの自動更新に失敗しました。手動でトークンを更新してください。");
-        }
-      } catch (refreshError) {
-        console.error("トークン更新エラー:", refreshError);
-        throw new Error(`トークンの自動更新に失敗しました: ${refreshError.message}`);
-      }
-    }
-    
-    throw new Error(`POST reply failed: ${code} ${responseText}`);
-  }
-  
-  const json = JSON.parse(responseText);
-  if (!json || !json.id) throw new Error(`POST reply unexpected response: ${responseText}`);
+  const json = graphRequest('post', `/${encodeURIComponent(commentId)}/comments`, { message: message }, { token, label: 'POST reply' });
+  if (!json || !json.id) throw new Error(`POST reply unexpected response: ${JSON.stringify(json)}`);
   return json.id;
 }
 
+/**
+ * コメントに「いいね」する
+ * @param {string} commentId コメントID
+ * @param {string} token ページアクセストークン
+ */
+function likeComment(commentId, token) {
+  const json = graphRequest('post', `/${encodeURIComponent(commentId)}/likes`, {}, { token, label: 'POST like', idempotent: true });
+  if (!json || json.success !== true) throw new Error(`POST like unexpected response: ${JSON.stringify(json)}`);
+}
+
+/**
+ * コメントを非表示にする（投稿者と友達以外には表示されなくなる）
+ * @param {string} commentId コメントID
+ * @param {string} token ページアクセストークン
+ */
+function hideComment(commentId, token) {
+  const json = graphRequest('post', `/${encodeURIComponent(commentId)}`, { is_hidden: 'true' }, { token, label: 'POST hide comment', idempotent: true });
+  if (!json || json.success !== true) throw new Error(`POST hide comment unexpected response: ${JSON.stringify(json)}`);
+}
+
+/**
+ * コメントを削除する
+ * @param {string} commentId コメントID
+ * @param {string} token ページアクセストークン
+ */
+function deleteComment(commentId, token) {
+  const json = graphRequest('delete', `/${encodeURIComponent(commentId)}`, {}, { token, label: 'DELETE comment' });
+  if (!json || json.success !== true) throw new Error(`DELETE comment unexpected response: ${JSON.stringify(json)}`);
+}
+
+/**
+ * コメント投稿者に非公開返信（Messenger のメッセージ）を送る
+ * 1コメントにつき1回まで、コメントから7日以内のみ送信できる（pages_messaging 権限が必要）
+ * @param {string} pageId ページID
+ * @param {string} commentId コメントID
+ * @param {string} message メッセージ本文
+ * @param {string} token ページアクセストークン
+ * @return {string} メッセージID
+ */
+function sendPrivateReply(pageId, commentId, message, token) {
+  const json = graphRequest('post', `/${encodeURIComponent(pageId)}/messages`, {
+    recipient: JSON.stringify({ comment_id: commentId }),
+    message: JSON.stringify({ text: message })
+  }, { token, label: 'POST private reply' });
+  if (!json || !json.message_id) throw new Error(`POST private reply unexpected response: ${JSON.stringify(json)}`);
+  return json.message_id;
+}
+
 /**
  * ページに新規投稿を作成する
+ * 画像がある場合は写真エンドポイントを使う（1枚は /photos で直接投稿、複数枚は未公開でアップロードして attached_media でまとめる）
+ * 写真付きの投稿にはリンクプレビューを付けられないため、リンクは本文の末尾に追記する
+ * scheduledAt を指定した場合は Facebook 側の予約投稿（published=false + scheduled_publish_time）として作成する
  * @param {string} message 投稿本文
  * @param {string} token ページアクセストークン
- * @return {Object} {postId, permalink}
+ * @param {Object} media 任意 {imageUrls, link, driveFileIds} 画像URL配列・リンクURL・DriveファイルID配列
+ * @param {Date} scheduledAt 任意 Facebook 側で公開する日時（10分後〜30日後）
+ * @return {Object} {postId, permalink} 予約投稿の permalink は公開後に取得するため空文字
  */
-function createPagePost(message, token) {
-  const url = `${FB.BASE}/me/feed`;
-  const payload = { message: message, access_token: token };
-  const res = UrlFetchApp.fetch(url, { method: 'post', payload: payload, muteHttpExceptions: true });
-  const code = res.getResponseCode();
-  const responseText = res.getContentText();
-  
-  if (code < 200 || code >= 300) {
-    console.error(`POST feed failed: ${code} ${responseText}`);
-    
-    // トークン期限切れエラーの場合、自動更新を試行
-    if (code === 400 && responseText.includes("Session has expired")) {
-      console.log("トークンが期限切れのため、自動更新を試行します...");
-      try {
-        const refreshSuccess = refreshToken();
-        if (refreshSuccess) {
-          const newToken = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ACCESS_TOKEN);
-          console.log("トークンが更新されました。再試行します...");
-          return createPagePost(message, newToken); // 再帰的に再試行
-        } else {
-          throw new Error("トークンの自動更新に失敗しました。手動でトークンを更新してください。");
-        }
-      } catch (refreshError) {
-        console.error("トークン更新エラー:", refreshError);
-        throw new Error(`トークンの自動更新に失敗しました: ${refreshError.message}`);
-      }
+function createPagePost(message, token, media, scheduledAt) {
+  const m = media || {};
+  const photos = (m.imageUrls || []).map(url => ({ url }))
+    .concat((m.driveFileIds || []).map(fileId => ({ source: getDriveImageBlob(fileId) })));
+  const schedule = scheduledAt
+    ? { published: 'false', scheduled_publish_time: String(Math.floor(scheduledAt.getTime() / 1000)) }
+    : {};
+
+  let postId;
+  if (photos.length === 0) {
+    const payload = Object.assign({ message: message }, schedule);
+    if (m.link) payload.link = m.link;
+    const json = graphRequest('post', '/me/feed', payload, { token, label: 'POST feed' });
+    if (!json || !json.id) throw new Error(`POST feed unexpected response: ${JSON.stringify(json)}`);
+    postId = json.id;
+  } else {
+    const text = m.link ? [message, m.link].filter(Boolean).join('\n') : message;
+    if (photos.length === 1 && !scheduledAt) {
+      const json = graphRequest('post', '/me/photos', Object.assign({ caption: text }, photos[0]), { token, label: 'POST photos' });
+      if (!json || !(json.post_id || json.id)) throw new Error(`POST photos unexpected response: ${JSON.stringify(json)}`);
+      postId = json.post_id || json.id;
+    } else {
+      // 予約投稿は1枚でも attached_media を使う（投稿IDをフィードの投稿として扱うため）
+      const mediaIds = photos.map(photo => uploadUnpublishedPhoto(photo, token));
+      const json = graphRequest('post', '/me/feed', Object.assign({
+        message: text,
+        attached_media: JSON.stringify(mediaIds.map(id => ({ media_fbid: id })))
+      }, schedule), { token, label: 'POST feed(attached_media)' });
+      if (!json || !json.id) throw new Error(`POST feed(attached_media) unexpected response: ${JSON.stringify(json)}`);
+      postId = json.id;
     }
-    
-    throw new Error(`POST feed failed: ${code} ${responseText}`);
   }
-  
-  const json = JSON.parse(responseText);
-  if (!json || !json.id) throw new Error(`POST feed unexpected response: ${responseText}`);
 
-  // パーマリンクを取得
+  // パーマリンクを取得（予約投稿は公開前のため取得しない）
   let permalink = '';
-  try {
-    const detailUrl = `${FB.BASE}/${encodeURIComponent(json.id)}?fields=permalink_url&access_token=${encodeURIComponent(token)}`;
-    const detailRes = UrlFetchApp.fetch(detailUrl, { method: 'get', muteHttpExceptions: true });
-    if (detailRes.getResponseCode() >= 200 && detailRes.getResponseCode() < 300) {
-      const d = JSON.parse(detailRes.getContentText());
+  if (!scheduledAt) {
+    try {
+      const d = graphRequest('get', `/${encodeURIComponent(postId)}`, { fields: 'permalink_url' }, { token, label: 'GET permalink', maxRetries: 1 });
       permalink = d.permalink_url || '';
+    } catch (e) {
+      // 取得失敗は致命的でないため握りつぶす
     }
-  } catch (e) {
-    // 取得失敗は致命的でないため握りつぶす
   }
 
-  return { postId: String(json.id), permalink };
+  return { postId: String(postId), permalink };
+}
+
+/**
+ * Facebook 側の予約投稿の本文・公開日時を変更する（公開前のみ）
+ * @param {string} postId 投稿ID
+ * @param {string} message 投稿本文
+ * @param {Date} scheduledAt 公開日時
+ * @param {string} token ページアクセストークン
+ */
+function updateScheduledPost(postId, message, scheduledAt, token) {
+  const json = graphRequest('post', `/${encodeURIComponent(postId)}`, {
+    message: message,
+    scheduled_publish_time: String(Math.floor(scheduledAt.getTime() / 1000))
+  }, { token, label: 'POST update scheduled post', idempotent: true });
+  if (!json || json.success !== true) throw new Error(`POST update scheduled post unexpected response: ${JSON.stringify(json)}`);
+}
+
+/**
+ * 公開済みの投稿の本文を変更する
+ * @param {string} postId 投稿ID
+ * @param {string} message 新しい投稿本文
+ * @param {string} token ページアクセストークン
+ */
+function updatePagePost(postId, message, token) {
+  const json = graphRequest('post', `/${encodeURIComponent(postId)}`, { message: message }, { token, label: 'POST update post', idempotent: true });
+  if (!json || json.success !== true) throw new Error(`POST update post unexpected response: ${JSON.stringify(json)}`);
+}
+
+/**
+ * 投稿の現在の本文を取得する
+ * @param {string} postId 投稿ID
+ * @param {string} token ページアクセストークン
+ * @return {string} 投稿本文（本文なしは空文字）
+ */
+function getPostMessage(postId, token) {
+  const json = graphRequest('get', `/${encodeURIComponent(postId)}`, { fields: 'message' }, { token, label: 'GET post message' });
+  return String(json && json.message || '');
+}
+
+/**
+ * 投稿を削除する（Facebook 側の予約投稿の取り消しにも使用）
+ * @param {string} postId 投稿ID
+ * @param {string} token ページアクセストークン
+ */
+function deletePagePost(postId, token) {
+  const json = graphRequest('delete', `/${encodeURIComponent(postId)}`, {}, { token, label: 'DELETE post' });
+  if (!json || json.success !== true) throw new Error(`DELETE post unexpected response: ${JSON.stringify(json)}`);
+}
+
+/**
+ * 投稿の公開状態を取得する
+ * @param {string} postId 投稿ID
+ * @param {string} token ページアクセストークン
+ * @return {Object} {published, permalink}
+ */
+function getPostPublishState(postId, token) {
+  const json = graphRequest('get', `/${encodeURIComponent(postId)}`, { fields: 'is_published,permalink_url' }, { token, label: 'GET post state' });
+  return { published: json.is_published === true, permalink: json.permalink_url || '' };
+}
+
+/**
+ * 写真を未公開でアップロードする（複数枚投稿の attached_media 用）
+ * @param {Object} photo {url} または {source: Blob}
+ * @param {string} token ページアクセストークン
+ * @return {string} 写真ID（media_fbid）
+ */
+function uploadUnpublishedPhoto(photo, token) {
+  const json = graphRequest('post', '/me/photos', Object.assign({ published: 'false' }, photo), { token, label: 'POST photos(unpublished)' });
+  if (!json || !json.id) throw new Error(`POST photos(unpublished) unexpected response: ${JSON.stringify(json)}`);
+  return String(json.id);
+}
+
+/**
+ * Google ドライブの画像ファイルを取得する
+ * @param {string} fileIdOrUrl ファイルID または共有URL
+ * @return {Blob} 画像のBlob
+ */
+function getDriveImageBlob(fileIdOrUrl) {
+  const text = String(fileIdOrUrl || '').trim();
+  const matched = text.match(/\/d\/([\w-]+)/) || text.match(/[?&]id=([\w-]+)/);
+  const fileId = matched ? matched[1] : text;
+  const blob = DriveApp.getFileById(fileId).getBlob();
+  const mimeType = blob.getContentType() || '';
+  if (!mimeType.startsWith('image/')) throw new Error(`Driveファイル ${fileId} は画像ではありません（${mimeType}）`);
+  return blob;
 }
 
 /**
@@ -206,36 +365,7 @@ function createPagePost(message, token) {
  * @return {Object} ページ情報 {pageId, pageName}
  */
 function getPageInfo(token) {
-  const url = `${FB.BASE}/me?fields=id,name&access_token=${encodeURIComponent(token)}`;
-  const res = UrlFetchApp.fetch(url, { method: 'get', muteHttpExceptions: true });
-  const code = res.getResponseCode();
-  const responseText = res.getContentText();
-  
-  if (code < 200 || code >= 300) {
-    console.error(`GET /me failed: ${code} ${responseText}`);
-    
-    // トークン期限切れエラーの場合、自動更新を試行
-    if (code === 400 && responseText.includes("Session has expired")) {
-      console.log("トークンが期限切れのため、自動更新を試行します...");
-      try {
-        const refreshSuccess = refreshToken();
-        if (refreshSuccess) {
-          const newToken = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ACCESS_TOKEN);
-          console.log("トークンが更新されました。再試行します...");
-          return getPageInfo(newToken); // 再帰的に再試行
-        } else {
-          throw new Error("トークンの自動更新に失敗しました。手動でトークンを更新してください。");
-        }
-      } catch (refreshError) {
-        console.error("トークン更新エラー:", refreshError);
-        throw new Error(`トークンの自動更新に失敗しました: ${refreshError.message}`);
-      }
-    }
-    
-    throw new Error(`GET /me failed: ${code} ${responseText}`);
-  }
-  
-  const json = JSON.parse(responseText);
+  const json = graphRequest('get', '/me', { fields: 'id,name' }, { token, label: 'GET /me' });
   if (!json || !json.id) throw new Error('ページIDを取得できませんでした。アクセストークンが「ページ用」か確認してください。');
   return { pageId: String(json.id), pageName: json.name || '' };
 }
@@ -245,54 +375,20 @@ function getPageInfo(token) {
  * @param {string} token アクセストークン
  * @param {number} lookbackDays 過去何日分を取得するか
  * @param {number} maxCount 最大取得件数
+ * @param {string} pageId ページID（取得した投稿シートの「ページ」列に記録、任意）
  * @return {Array} 投稿ID配列
  */
-function fetchRecentPosts(token, lookbackDays, maxCount) {
+function fetchRecentPosts(token, lookbackDays, maxCount, pageId) {
   const sinceTs = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000);
-  const sinceParam = Math.floor(sinceTs.getTime() / 1000);
-  const url = `${FB.BASE}/me/posts` +
-    `?fields=id,created_time,permalink_url` +
-    `&since=${sinceParam}` +
-    `&limit=${encodeURIComponent(String(maxCount))}` +
-    `&access_token=${encodeURIComponent(token)}`;
-  
-  const res = UrlFetchApp.fetch(url, { method: 'get', muteHttpExceptions: true });
-  const code = res.getResponseCode();
-  const responseText = res.getContentText();
-  
-  if (code < 200 || code >= 300) {
-    console.error(`GET /me/posts failed: ${code} ${responseText}`);
-    
-    // トークン期限切れエラーの場合、自動更新を試行
-    if (code === 400 && responseText.includes("Session has expired")) {
-      console.log("トークンが期限切れのため、自動更新を試行します...");
-      try {
-        const refreshSuccess = refreshToken();
-        if (refreshSuccess) {
-          const newToken = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ACCESS_TOKEN);
-          console.log("トークンが更新されました。再試行します...");
-          return fetchRecentPosts(newToken, lookbackDays, maxCount); // 再帰的に再試行
-        } else {
-          throw new Error("トークンの自動更新に失敗しました。手動でトークンを更新してください。");
-        }
-      } catch (refreshError) {
-        console.error("トークン更新エラー:", refreshError);
-        throw new Error(`トークンの自動更新に失敗しました: ${refreshError.message}`);
-      }
-    }
-    
-    throw new Error(`GET /me/posts failed: ${code} ${responseText}`);
-  }
-  
-  const json = JSON.parse(responseText);
+  const json = graphRequest('get', '/me/posts', {
+    fields: 'id,created_time,permalink_url',
+    since: String(Math.floor(sinceTs.getTime() / 1000)),
+    limit: String(maxCount)
+  }, { token, label: 'GET /me/posts' });
   const data = Array.isArray(json.data) ? json.data : [];
   
-  // Postsシートに記録
-  if (data.length) {
-    const sh = SpreadsheetApp.getActive().getSheetByName(SHEET.POSTS);
-    const rows = data.map(p => [p.id || '', p.permalink_url || '', p.created_time || '']);
-    sh.getRange(sh.getLastRow() + 1, 1, rows.length, 3).setValues(rows);
-  }
+  // Postsシートに記録（種別: post）
+  recordFetchedPosts(data, pageId, 'post');
   
   return data.map(p => p.id).filter(Boolean);
 }
@@ -308,51 +404,22 @@ function fetchRecentReels(token, lookbackDays, maxCount) {
   try {
     const { pageId } = getPageInfo(token);
     const sinceTs = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000);
-    const sinceParam = Math.floor(sinceTs.getTime() / 1000);
-    const url = `${FB.BASE}/${encodeURIComponent(pageId)}/video_reels` +
-      `?fields=id,created_time,permalink_url` +
-      `&since=${sinceParam}` +
-      `&limit=${encodeURIComponent(String(maxCount))}` +
-      `&access_token=${encodeURIComponent(token)}`;
-
-    const res = UrlFetchApp.fetch(url, { method: 'get', muteHttpExceptions: true });
-    const code = res.getResponseCode();
-    const responseText = res.getContentText();
-
-    if (code < 200 || code >= 300) {
-      console.error(`GET /{page-id}/video_reels failed: ${code} ${responseText}`);
-
-      // トークン期限切れエラーの場合、自動更新を試行
-      if (code === 400 && responseText.includes("Session has expired")) {
-        console.log("トークンが期限切れのため、自動更新を試行します...");
-        try {
-          const refreshSuccess = refreshToken();
-          if (refreshSuccess) {
-            const newToken = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ACCESS_TOKEN);
-            console.log("トークンが更新されました。再試行します...");
-            return fetchRecentReels(newToken, lookbackDays, maxCount); // 再帰的に再試行
-          } else {
-            throw new Error("トークンの自動更新に失敗しました。手動でトークンを更新してください。");
-          }
-        } catch (refreshError) {
-          console.error("トークン更新エラー:", refreshError);
-          throw new Error(`トークンの自動更新に失敗しました: ${refreshError.message}`);
-        }
-      }
-
+    let json;
+    try {
+      json = graphRequest('get', `/${encodeURIComponent(pageId)}/video_reels`, {
+        fields: 'id,created_time,permalink_url',
+        since: String(Math.floor(sinceTs.getTime() / 1000)),
+        limit: String(maxCount)
+      }, { token, label: 'GET /{page-id}/video_reels' });
+    } catch (e) {
       // 許可されていない・未サポートの場合は空配列で返却（ソフトフォールバック）
+      console.warn('リール取得APIが利用できません:', e && e.message ? e.message : e);
       return [];
     }
-
-    const json = JSON.parse(responseText);
     const data = Array.isArray(json.data) ? json.data : [];
 
-    // Postsシートに記録
-    if (data.length) {
-      const sh = SpreadsheetApp.getActive().getSheetByName(SHEET.POSTS);
-      const rows = data.map(p => [p.id || '', p.permalink_url || '', p.created_time || '']);
-      sh.getRange(sh.getLastRow() + 1, 1, rows.length, 3).setValues(rows);
-    }
+    // Postsシートに記録（種別: reel。対象投稿の種別判定に使う）
+    recordFetchedPosts(data, pageId, 'reel');
 
     return data.map(p => p.id).filter(Boolean);
   } catch (e) {
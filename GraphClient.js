@@ -0,0 +1,395 @@
+/**
+ * Graph API クライアント
+ * すべての Graph API 呼び出しを一元化し、エラー解析・トークン更新・リトライ・レート制限を管理する
+ */
+
+// リトライ対象のエラーコード
+const GRAPH_ERROR_CODES = {
+  TOKEN_INVALID: 190,
+  RATE_LIMIT: [4, 17, 32, 613],
+  TRANSIENT: [1, 2],
+  PERMISSION: 10 // 10 および 200-299 は権限（スコープ）不足
+};
+
+// リトライ設定
+const GRAPH_RETRY = {
+  MAX_RETRIES: 3,
+  BASE_DELAY_MS: 1000,       // 一時的エラーの初回待機
+  RATE_LIMIT_DELAY_MS: 5000, // レート制限エラーの初回待機
+  MAX_DELAY_MS: 60000
+};
+
+// 使用率ヘッダー（X-App-Usage など）による減速の閾値
+const GRAPH_USAGE_THROTTLE = [
+  { percent: 90, delayMs: 10000 },
+  { percent: 75, delayMs: 3000 }
+];
+
+// 実行中の状態（GASの1実行内でのみ保持）
+let graphLastCallAt = 0;
+let graphExtraDelayMs = 0;
+let graphMinIntervalMs = null;
+let graphApiVersion = null;
+const graphTokenReplacements = {}; // 更新前トークン -> 更新後トークン
+
+/**
+ * Graph API を呼び出す
+ * @param {string} method HTTPメソッド（get/post/delete）
+ * @param {string} path '/me/feed' などの相対パス、または paging.next などの絶対URL
+ * @param {Object} params クエリ（GET/DELETE）またはペイロード（POST）
+ * @param {Object} options 任意 {token, label, autoRefresh, maxRetries, idempotent}
+ *   token: access_token として付与するトークン
+ *   label: ログ/エラーメッセージ用のラベル
+ *   autoRefresh: false の場合、トークン失効（code 190）時に自動更新しない
+ *   idempotent: 同じリクエストを2回送っても結果が変わらないか（既定は GET/DELETE が true、POST が false）
+ *     false の場合、通信エラー・タイムアウト・一時的エラーは Facebook 側で反映済みの可能性があるため再試行しない
+ *     （レート制限・トークン失効は反映されていないことが確実なため再試行する）
+ * @return {Object} レスポンスJSON
+ */
+function graphRequest(method, path, params, options) {
+  const opts = options || {};
+  const httpMethod = String(method || 'get').toLowerCase();
+  const label = opts.label || `${httpMethod.toUpperCase()} ${path}`;
+  const maxRetries = opts.maxRetries !== undefined ? opts.maxRetries : GRAPH_RETRY.MAX_RETRIES;
+  const idempotent = opts.idempotent !== undefined ? opts.idempotent : httpMethod !== 'post';
+  let token = opts.token ? resolveGraphToken(opts.token) : '';
+  let refreshed = false;
+  let attempt = 0;
+
+  while (true) {
+    waitForGraphRateLimit();
+
+    const request = buildGraphRequest(httpMethod, path, params, token);
+    let res;
+    try {
+      res = UrlFetchApp.fetch(request.url, request.options);
+    } catch (e) {
+      // ネットワークエラー・タイムアウト（冪等でないリクエストは送信済みの可能性があるため再試行しない）
+      if (idempotent && attempt < maxRetries) {
+        const delay = computeGraphBackoff(attempt, GRAPH_RETRY.BASE_DELAY_MS);
+        console.warn(`${label}: 通信エラーのため ${delay}ms 後に再試行します (${attempt + 1}/${maxRetries}):`, e && e.message ? e.message : e);
+        Utilities.sleep(delay);
+        attempt++;
+        continue;
+      }
+      throw new Error(`${label} failed: ${e && e.message ? e.message : e}`);
+    }
+
+    recordGraphUsage(res);
+    const code = res.getResponseCode();
+    const responseText = res.getContentText();
+
+    if (code >= 200 && code < 300) {
+      try {
+        return responseText ? JSON.parse(responseText) : {};
+      } catch (e) {
+        throw new Error(`${label} unexpected response: ${responseText}`);
+      }
+    }
+
+    const error = createGraphError(label, code, responseText);
+    console.error(error.message);
+
+    // トークン失効: 1回だけ自動更新して再試行
+    if (isGraphTokenError(error) && token && opts.autoRefresh !== false && !refreshed) {
+      console.log("トークンが期限切れのため、自動更新を試行します...");
+      const newToken = refreshGraphToken(token);
+      if (!newToken) {
+        throw new Error("トークンの自動更新に失敗しました。手動でトークンを更新してください。");
+      }
+      console.log("トークンが更新されました。再試行します...");
+      token = newToken;
+      refreshed = true;
+      continue;
+    }
+
+    // レート制限・一時的エラー: 指数バックオフで再試行（一時的エラーは冪等なリクエストのみ）
+    const rateLimited = isGraphRateLimitError(error);
+    if ((rateLimited || (idempotent && isGraphTransientError(error))) && attempt < maxRetries) {
+      const delay = computeGraphBackoff(attempt, rateLimited ? GRAPH_RETRY.RATE_LIMIT_DELAY_MS : GRAPH_RETRY.BASE_DELAY_MS);
+      console.warn(`${label}: ${rateLimited ? 'レート制限' : '一時的なエラー'}のため ${delay}ms 後に再試行します (${attempt + 1}/${maxRetries})`);
+      Utilities.sleep(delay);
+      attempt++;
+      continue;
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * リクエストURLとUrlFetchAppオプションを組み立てる
+ * @param {string} method HTTPメソッド
+ * @param {string} path 相対パスまたは絶対URL
+ * @param {Object} params パラメータ
+ * @param {string} token アクセストークン
+ * @return {Object} {url, options}
+ */
+function buildGraphRequest(method, path, params, token) {
+  let url = /^https?:\/\//.test(path) ? path : `${getGraphBaseUrl()}/${String(path).replace(/^\//, '')}`;
+  const options = { method: method, muteHttpExceptions: true };
+  const data = Object.assign({}, params || {});
+
+  if (method === 'post') {
+    if (token) data.access_token = token;
+    options.payload = data;
+  } else {
+    Object.keys(data).forEach(key => {
+      if (data[key] !== undefined && data[key] !== null && data[key] !== '') {
+        url = setUrlQueryParam(url, key, String(data[key]));
+      }
+    });
+    if (token) url = setUrlQueryParam(url, 'access_token', token);
+  }
+  return { url, options };
+}
+
+/**
+ * バージョン付きの Graph API ベースURLを取得する
+ * @return {string} 例: https://graph.facebook.com/v23.0
+ */
+function getGraphBaseUrl() {
+  return `${FB.HOST}/${getGraphApiVersion()}`;
+}
+
+/**
+ * 設定「Facebook API バージョン」を取得する（実行中はキャッシュ、不正値は既定バージョン）
+ * @return {string} 例: v23.0
+ */
+function getGraphApiVersion() {
+  if (graphApiVersion === null) {
+    graphApiVersion = FB.DEFAULT_VERSION;
+    try {
+      const value = String(getSettings().get('Facebook API バージョン') || '').trim();
+      const normalized = /^\d+\.\d+$/.test(value) ? `v${value}` : value;
+      if (/^v\d+\.\d+$/.test(normalized)) {
+        graphApiVersion = normalized;
+      } else if (value) {
+        console.warn(`Facebook API バージョンの形式が不正です（${value}）。${FB.DEFAULT_VERSION} を使用します`);
+      }
+    } catch (e) {
+      // 設定シートが読めない場合は既定値
+    }
+  }
+  return graphApiVersion;
+}
+
+/**
+ * 設定中の Graph API バージョンの提供終了状況を確認する
+ * @return {Object} {version, sunset, daysLeft, level, message}
+ *   level: 'ok' | 'warning'（提供終了が近い）| 'expired'（提供終了済み）| 'unknown'（表にない）
+ */
+function checkGraphApiVersion() {
+  const version = getGraphApiVersion();
+  const info = GRAPH_API_VERSIONS[version];
+  if (!info) {
+    return { version, sunset: null, daysLeft: null, level: 'unknown', message: `${version} は提供終了日の一覧にありません` };
+  }
+  if (!info.sunset) {
+    return { version, sunset: null, daysLeft: null, level: 'ok', message: `${version} の提供終了日は未発表です` };
+  }
+
+  const sunset = new Date(`${info.sunset}T00:00:00Z`);
+  const daysLeft = Math.ceil((sunset.getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+  if (daysLeft <= 0) {
+    return { version, sunset, daysLeft, level: 'expired', message: `${version} は ${info.sunset} に提供終了しています` };
+  }
+  if (daysLeft <= GRAPH_API_SUNSET_WARNING_DAYS) {
+    return { version, sunset, daysLeft, level: 'warning', message: `${version} は ${info.sunset} に提供終了予定です（残り${daysLeft}日）` };
+  }
+  return { version, sunset, daysLeft, level: 'ok', message: `${version} は ${info.sunset} まで利用できます（残り${daysLeft}日）` };
+}
+
+/**
+ * URLのクエリパラメータを設定（既存値は置き換え）する
+ * @param {string} url 対象URL
+ * @param {string} key キー
+ * @param {string} value 値
+ * @return {string} 更新後URL
+ */
+function setUrlQueryParam(url, key, value) {
+  const encodedKey = encodeURIComponent(key); // キーは英数字と _ のみを想定
+  const pattern = new RegExp(`([?&])${encodedKey}=[^&]*`);
+  const pair = `${encodedKey}=${encodeURIComponent(value)}`;
+  if (pattern.test(url)) return url.replace(pattern, `$1${pair}`);
+  return url + (url.includes('?') ? '&' : '?') + pair;
+}
+
+/**
+ * Graph APIのエラーレスポンスからErrorを生成する
+ * @param {string} label ラベル
+ * @param {number} httpCode HTTPステータス
+ * @param {string} responseText レスポンス本文
+ * @return {Error} code/subcode/fbtraceId/httpCode/isTransient を持つError
+ */
+function createGraphError(label, httpCode, responseText) {
+  let detail = {};
+  try {
+    const json = JSON.parse(responseText);
+    detail = json && json.error ? json.error : {};
+  } catch (e) {
+    // JSONでない応答（HTMLの5xxなど）はそのまま扱う
+  }
+
+  const parts = [];
+  if (detail.code !== undefined) parts.push(`code=${detail.code}`);
+  if (detail.error_subcode !== undefined) parts.push(`subcode=${detail.error_subcode}`);
+  if (detail.fbtrace_id) parts.push(`fbtrace_id=${detail.fbtrace_id}`);
+
+  const error = new Error(`${label} failed: ${httpCode} ${detail.message || responseText}` + (parts.length ? ` (${parts.join(', ')})` : ''));
+  error.httpCode = httpCode;
+  error.code = detail.code !== undefined ? Number(detail.code) : null;
+  error.subcode = detail.error_subcode !== undefined ? Number(detail.error_subcode) : null;
+  error.type = detail.type || '';
+  error.fbtraceId = detail.fbtrace_id || '';
+  error.isTransient = detail.is_transient === true;
+  error.responseText = responseText;
+  return error;
+}
+
+/**
+ * トークン失効エラーかどうか
+ * @param {Error} error createGraphError() のError
+ * @return {boolean}
+ */
+function isGraphTokenError(error) {
+  return error.code === GRAPH_ERROR_CODES.TOKEN_INVALID ||
+    (error.httpCode === 400 && String(error.responseText || '').includes('Session has expired'));
+}
+
+/**
+ * レート制限エラーかどうか（ビジネスユースケースの 80001-80014 を含む）
+ * @param {Error} error createGraphError() のError
+ * @return {boolean}
+ */
+function isGraphRateLimitError(error) {
+  return GRAPH_ERROR_CODES.RATE_LIMIT.includes(error.code) ||
+    (error.code >= 80001 && error.code <= 80014);
+}
+
+/**
+ * 権限（スコープ）不足のエラーかどうか
+ * @param {Error} error createGraphError() のError
+ * @return {boolean}
+ */
+function isGraphPermissionError(error) {
+  return error.code === GRAPH_ERROR_CODES.PERMISSION || (error.code >= 200 && error.code <= 299);
+}
+
+/**
+ * 再試行で回復しうる一時的エラーかどうか
+ * @param {Error} error createGraphError() のError
+ * @return {boolean}
+ */
+function isGraphTransientError(error) {
+  return error.httpCode >= 500 || error.isTransient || GRAPH_ERROR_CODES.TRANSIENT.includes(error.code);
+}
+
+/**
+ * 指数バックオフの待機時間を計算する（ジッター付き）
+ * @param {number} attempt 試行回数（0始まり）
+ * @param {number} baseMs 初回待機時間
+ * @return {number} 待機ミリ秒
+ */
+function computeGraphBackoff(attempt, baseMs) {
+  const delay = baseMs * Math.pow(2, attempt);
+  const jitter = Math.floor(Math.random() * baseMs / 2);
+  return Math.min(GRAPH_RETRY.MAX_DELAY_MS, delay + jitter);
+}
+
+/**
+ * トークンを自動更新し、同じページの更新後のページトークンを返す
+ * 以降の呼び出しで古いトークンが渡された場合も新しいトークンに置き換える
+ * @param {string} oldToken 失効したトークン
+ * @return {string|null} 更新後のトークン（失敗時はnull）
+ */
+function refreshGraphToken(oldToken) {
+  try {
+    const pageId = findPageIdByToken(oldToken);
+    if (!pageId) {
+      console.warn('ページトークン以外のトークンのため自動更新できません');
+      return null;
+    }
+    if (!refreshToken()) return null;
+    const newToken = getPageToken(pageId);
+    if (!newToken) return null;
+    graphTokenReplacements[oldToken] = newToken;
+    return newToken;
+  } catch (e) {
+    console.error("トークン更新エラー:", e);
+    return null;
+  }
+}
+
+/**
+ * この実行中に更新済みのトークンであれば新しいトークンに置き換える
+ * @param {string} token トークン
+ * @return {string} 使用するトークン
+ */
+function resolveGraphToken(token) {
+  let current = token;
+  while (graphTokenReplacements[current]) current = graphTokenReplacements[current];
+  return current;
+}
+
+/**
+ * 前回の呼び出しから「レート制限待機時間」＋使用率に応じた追加待機が経過するまで待つ
+ */
+function waitForGraphRateLimit() {
+  const interval = getGraphMinIntervalMs() + graphExtraDelayMs;
+  const wait = graphLastCallAt + interval - Date.now();
+  if (graphLastCallAt > 0 && wait > 0) Utilities.sleep(wait);
+  graphLastCallAt = Date.now();
+}
+
+/**
+ * 設定「レート制限待機時間」（ミリ秒）を取得する（実行中はキャッシュ）
+ * @return {number} 呼び出し間の最小間隔
+ */
+function getGraphMinIntervalMs() {
+  if (graphMinIntervalMs === null) {
+    graphMinIntervalMs = 300;
+    try {
+      const value = parseInt(getSettings().get('レート制限待機時間'), 10);
+      if (!isNaN(value) && value >= 0) graphMinIntervalMs = value;
+    } catch (e) {
+      // 設定シートが読めない場合は既定値
+    }
+  }
+  return graphMinIntervalMs;
+}
+
+/**
+ * 使用率ヘッダーを読み取り、上限に近づいていれば次回以降の呼び出しを減速する
+ * @param {HTTPResponse} res UrlFetchAppのレスポンス
+ */
+function recordGraphUsage(res) {
+  let headers = {};
+  try {
+    headers = res.getAllHeaders ? res.getAllHeaders() : {};
+  } catch (e) {
+    return;
+  }
+
+  let maxPercent = 0;
+  Object.keys(headers).forEach(name => {
+    const key = name.toLowerCase();
+    if (key !== 'x-app-usage' && key !== 'x-page-usage' && key !== 'x-business-use-case-usage') return;
+    try {
+      const usage = JSON.parse(headers[name]);
+      // X-Business-Use-Case-Usage は {id: [{call_count, ...}]} 形式
+      const entries = key === 'x-business-use-case-usage'
+        ? Object.keys(usage).reduce((list, id) => list.concat(usage[id] || []), [])
+        : [usage];
+      entries.forEach(u => {
+        maxPercent = Math.max(maxPercent, Number(u.call_count) || 0, Number(u.total_cputime) || 0, Number(u.total_time) || 0);
+      });
+    } catch (e) {
+      // 解析できないヘッダーは無視
+    }
+  });
+
+  const level = GRAPH_USAGE_THROTTLE.find(t => maxPercent >= t.percent);
+  graphExtraDelayMs = level ? level.delayMs : 0;
+  if (level) console.warn(`Graph API 使用率が ${maxPercent}% に達しているため減速します（+${level.delayMs}ms）`);
+}
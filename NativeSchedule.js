@@ -0,0 +1,233 @@
+/**
+ * Facebook 側の予約投稿
+ * 設定「予約投稿の方式」が「Facebook予約」の場合、予約中の行を published=false + scheduled_publish_time で
+ * Facebook に登録する（トリガーの遅延・停止に関係なく予約日時ちょうどに公開される）
+ * 登録済みの行は投稿IDで追跡し、シートの編集（本文・日時・画像・ページ）や取り消し・行の削除を Facebook 側に反映する
+ */
+
+// Facebook が受け付ける予約日時の範囲（10分後〜30日後）。登録までの処理時間の分だけ余裕を持たせる
+const NATIVE_SCHEDULE_MIN_LEAD_MS = 11 * 60 * 1000;
+const NATIVE_SCHEDULE_MAX_LEAD_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Facebook 予約中の行の状態
+const NATIVE_SCHEDULED_STATUS = 'FB予約済み';
+
+/**
+ * Facebook 側の予約投稿を使う設定か
+ * @param {Map} settings 設定Map
+ * @return {boolean}
+ */
+function isNativeScheduleEnabled(settings) {
+  return String(settings.get('予約投稿の方式') || '').trim() === 'Facebook予約';
+}
+
+/**
+ * 予約日時が Facebook に登録できる範囲か（範囲外の行はスクリプトが予約日時に投稿する）
+ * @param {Date} scheduled 予約日時
+ * @param {Date} now 現在日時
+ * @return {boolean}
+ */
+function canScheduleNatively(scheduled, now) {
+  const leadMs = scheduled.getTime() - now.getTime();
+  return leadMs >= NATIVE_SCHEDULE_MIN_LEAD_MS && leadMs <= NATIVE_SCHEDULE_MAX_LEAD_MS;
+}
+
+/**
+ * 登録済みの Facebook 予約投稿を読み込む
+ * プロパティの値は約9KBまでのため、投稿ごとに別のプロパティへ本文・画像のハッシュだけを保存している
+ * @return {Object} {投稿ID: {pageId, time, messageHash, mediaHash}}
+ */
+function loadNativeSchedules() {
+  const props = PropertiesService.getScriptProperties().getProperties();
+  const state = {};
+  Object.keys(props).filter(key => key.indexOf(PROP_KEYS.NATIVE_SCHEDULE_PREFIX) === 0).forEach(key => {
+    try {
+      state[key.slice(PROP_KEYS.NATIVE_SCHEDULE_PREFIX.length)] = JSON.parse(props[key]);
+    } catch (e) {
+      console.warn(`Facebook 予約投稿の記録を読み込めません (${key}):`, e && e.message ? e.message : e);
+    }
+  });
+
+  // 旧形式（全件を1つのプロパティに本文ごと保存）からの移行。次回の saveNativeSchedules() で旧プロパティを削除する
+  if (props[PROP_KEYS.NATIVE_SCHEDULES]) {
+    try {
+      const legacy = JSON.parse(props[PROP_KEYS.NATIVE_SCHEDULES]);
+      Object.keys(legacy).filter(postId => !state[postId]).forEach(postId => {
+        const old = legacy[postId];
+        state[postId] = {
+          pageId: old.pageId,
+          time: old.time,
+          messageHash: hashNativeScheduleValue(old.message),
+          mediaHash: hashNativeScheduleValue(old.mediaKey)
+        };
+      });
+    } catch (e) {
+      console.warn('旧形式の Facebook 予約投稿の記録を読み込めません:', e && e.message ? e.message : e);
+    }
+  }
+  return state;
+}
+
+/**
+ * 登録済みの Facebook 予約投稿を保存する（追跡を終えた投稿のプロパティは削除）
+ * @param {Object} state loadNativeSchedules() の形式
+ */
+function saveNativeSchedules(state) {
+  const store = PropertiesService.getScriptProperties();
+  const stored = Object.keys(store.getProperties());
+  stored
+    .filter(key => key === PROP_KEYS.NATIVE_SCHEDULES ||
+      (key.indexOf(PROP_KEYS.NATIVE_SCHEDULE_PREFIX) === 0 && !state[key.slice(PROP_KEYS.NATIVE_SCHEDULE_PREFIX.length)]))
+    .forEach(key => store.deleteProperty(key));
+
+  const values = {};
+  Object.keys(state).forEach(postId => {
+    values[PROP_KEYS.NATIVE_SCHEDULE_PREFIX + postId] = JSON.stringify(state[postId]);
+  });
+  if (Object.keys(values).length > 0) store.setProperties(values);
+}
+
+/**
+ * 同期判定用に値のハッシュ（SHA-256 の Base64）を作る
+ * @param {string} value 本文など
+ * @return {string} ハッシュ
+ */
+function hashNativeScheduleValue(value) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(value || ''), Utilities.Charset.UTF_8);
+  return Utilities.base64Encode(digest);
+}
+
+/**
+ * 行の内容から同期判定用の値を作る（本文・画像などはハッシュで比較する）
+ * 本文・日時は公開前の投稿を更新でき、画像・リンク・ページの変更は登録し直す
+ * @param {Object} page 投稿先ページ {id}
+ * @param {string} body 投稿本文
+ * @param {Date} scheduled 予約日時
+ * @param {Object} media {imageUrls, link, driveFileIds}
+ * @return {Object} {pageId, time, messageHash, mediaHash}
+ */
+function buildNativeScheduleEntry(page, body, scheduled, media) {
+  return {
+    pageId: String(page.id),
+    time: scheduled.getTime(),
+    messageHash: hashNativeScheduleValue(body),
+    mediaHash: hashNativeScheduleValue(JSON.stringify([media.imageUrls, media.link, media.driveFileIds]))
+  };
+}
+
+/**
+ * 予約中の行を Facebook の予約投稿として登録し、行を「FB予約済み」にする
+ * @param {Sheet} sh 予約投稿シート
+ * @param {number} rowNumber 行番号
+ * @param {Object} page 投稿先ページ
+ * @param {string} token ページアクセストークン
+ * @param {string} body 投稿本文
+ * @param {Object} entry buildNativeScheduleEntry() の結果
+ * @param {Object} media {imageUrls, link, driveFileIds}
+ * @param {Object} state 登録済みの予約投稿（更新される）
+ */
+function pushNativeSchedule(sh, rowNumber, page, token, body, entry, media, state) {
+  const result = createPagePost(String(body || ''), token, media, new Date(entry.time));
+  state[result.postId] = entry;
+  sh.getRange(rowNumber, 7, 1, 4).setValues([[NATIVE_SCHEDULED_STATUS, result.postId, '', '']]);
+  console.log(`Facebook に予約投稿を登録しました: ${page.name} 行${rowNumber} → ${result.postId}`);
+}
+
+/**
+ * Facebook に登録済みの行をシートの内容と同期する
+ * 公開済みなら「送信済み」、無効化されていれば取り消し、編集されていれば更新（または登録し直し）する
+ * @param {Sheet} sh 予約投稿シート
+ * @param {number} rowNumber 行番号
+ * @param {Object} row {postId, enabled, status, page, body, scheduled, media}（page は解決できない場合 null）
+ * @param {Function} getToken ページID → トークン（取得失敗時は Error）
+ * @param {Object} state 登録済みの予約投稿（更新される）
+ * @return {Object} {action, permalink}
+ *   action: 'published' / 'cancelled' / 'updated' / 'rescheduled' / 'reverted' / 'unchanged'（permalink は公開済みの場合のみ）
+ */
+function syncNativeScheduleRow(sh, rowNumber, row, getToken, state) {
+  const postId = row.postId;
+  const current = state[postId];
+  const token = getToken(current.pageId);
+  if (token instanceof Error) throw token;
+
+  // 1) 公開済み（予約日時を過ぎた）なら書き戻して追跡を終える
+  const publishState = getPostPublishState(postId, token);
+  if (publishState.published) {
+    sh.getRange(rowNumber, 7, 1, 4).setValues([['送信済み', postId, publishState.permalink, '']]);
+    delete state[postId];
+    return { action: 'published', permalink: publishState.permalink };
+  }
+
+  // 2) 無効化・状態の変更は取り消し
+  const active = row.enabled === '有効' && (row.status === NATIVE_SCHEDULED_STATUS || row.status === '予約中');
+  if (!active || !row.page || !row.scheduled) {
+    deletePagePost(postId, token);
+    delete state[postId];
+    const reason = !row.page ? '投稿先のページが運用中のページにないため' : (!row.scheduled ? '予約日時が不正なため' : '');
+    sh.getRange(rowNumber, 7, 1, 4).setValues([[
+      active ? '失敗' : (row.status === NATIVE_SCHEDULED_STATUS ? '無効' : row.status), '', '',
+      reason ? `${reason} Facebook の予約を取り消しました` : ''
+    ]]);
+    return { action: 'cancelled', permalink: '' };
+  }
+
+  // 3) 編集を反映（日時が近すぎる・過ぎた場合は取り消してスクリプトの投稿に任せる）
+  const entry = buildNativeScheduleEntry(row.page, row.body, row.scheduled, row.media);
+  const changed = entry.messageHash !== current.messageHash || entry.time !== current.time;
+  const structural = entry.pageId !== current.pageId || entry.mediaHash !== current.mediaHash;
+  if (!changed && !structural) {
+    if (row.status !== NATIVE_SCHEDULED_STATUS) sh.getRange(rowNumber, 7).setValue(NATIVE_SCHEDULED_STATUS);
+    return { action: 'unchanged', permalink: '' };
+  }
+
+  if (!canScheduleNatively(row.scheduled, new Date())) {
+    deletePagePost(postId, token);
+    delete state[postId];
+    sh.getRange(rowNumber, 7, 1, 4).setValues([['予約中', '', '', '']]);
+    return { action: 'reverted', permalink: '' };
+  }
+
+  if (!structural) {
+    updateScheduledPost(postId, String(row.body || ''), row.scheduled, token);
+    state[postId] = entry;
+    sh.getRange(rowNumber, 7, 1, 4).setValues([[NATIVE_SCHEDULED_STATUS, postId, '', '']]);
+    return { action: 'updated', permalink: '' };
+  }
+
+  const newToken = getToken(row.page.id);
+  if (newToken instanceof Error) throw newToken;
+  deletePagePost(postId, token);
+  delete state[postId];
+  pushNativeSchedule(sh, rowNumber, row.page, newToken, row.body, entry, row.media, state);
+  return { action: 'rescheduled', permalink: '' };
+}
+
+/**
+ * シートから行が削除された Facebook 予約投稿を取り消す（公開済みのものは追跡を終えるだけ）
+ * @param {Object} state 登録済みの予約投稿（更新される）
+ * @param {Array<string>} orphanPostIds 実行開始時に登録済みで、シート上に見つからなかった投稿ID
+ * @param {Function} getToken ページID → トークン（取得失敗時は Error）
+ * @return {number} 取り消した件数
+ */
+function cancelOrphanNativeSchedules(state, orphanPostIds, getToken) {
+  let cancelled = 0;
+  orphanPostIds.filter(postId => state[postId]).forEach(postId => {
+    const token = getToken(state[postId].pageId);
+    if (token instanceof Error) return;
+    try {
+      if (!getPostPublishState(postId, token).published) {
+        deletePagePost(postId, token);
+        cancelled++;
+        console.log(`行が削除されたため Facebook の予約投稿を取り消しました: ${postId}`);
+      }
+      delete state[postId];
+    } catch (e) {
+      if (e && e.code === 100) {
+        delete state[postId]; // Facebook 側で削除済み
+        return;
+      }
+      reportError(ERROR_CATEGORIES.SCHEDULED, `予約投稿 ${postId} の取り消し`, e);
+    }
+  });
+  return cancelled;
+}
@@ -0,0 +1,120 @@
+/**
+ * ルールの対象投稿
+ * ルールシートの「対象投稿」列で、ルールを適用する投稿を投稿ID・URL・種別（post / reel）で限定する
+ * 投稿の URL・種別は取得した投稿シート（自動検出時に記録）から引き、シートにない投稿は通常投稿（post）として扱う
+ */
+
+// 「対象投稿」列で指定できる種別（日本語の別名も可）
+const POST_TYPES = ['post', 'reel'];
+const POST_TYPE_ALIASES = { '投稿': 'post', '通常投稿': 'post', 'リール': 'reel' };
+
+// 取得した投稿シートの投稿ID→{url, type}（実行中はキャッシュ）
+let postInfoCache = null;
+
+/**
+ * 取得した投稿シートから投稿の URL・種別を引く
+ * 完全一致しない場合は投稿ID部分で引き直す（Webhook の「ページID_投稿ID」形式と、リールの動画IDのみの記録を対応させる）
+ * @param {string} postId 投稿ID
+ * @return {Object} {id, url, type}（シートにない場合 url は空文字、type は 'post'）
+ */
+function lookupPostInfo(postId) {
+  if (!postInfoCache) {
+    postInfoCache = new Map();
+    const sh = SpreadsheetApp.getActive().getSheetByName(SHEET.POSTS);
+    if (sh && sh.getLastRow() >= 2) {
+      const typeCol = POSTS_HEADERS.indexOf('種別');
+      const colCount = Math.min(sh.getLastColumn(), POSTS_HEADERS.length);
+      sh.getRange(2, 1, sh.getLastRow() - 1, colCount).getValues().forEach(row => {
+        if (row[0]) postInfoCache.set(String(row[0]).trim(), { url: String(row[1] || '').trim(), type: String(row[typeCol] || '').trim() });
+      });
+    }
+  }
+  const info = postInfoCache.get(String(postId)) || findPostInfoByObjectId(postId) || {};
+  return { id: String(postId), url: info.url || '', type: POST_TYPES.includes(info.type) ? info.type : 'post' };
+}
+
+/**
+ * キャッシュから投稿ID部分が一致する投稿を探す
+ * @param {string} postId 投稿ID（「ページID_投稿ID」形式または投稿ID部分のみ）
+ * @return {Object|null} {url, type}
+ */
+function findPostInfoByObjectId(postId) {
+  const objectId = getPostObjectId(postId);
+  if (!objectId) return null;
+  for (const [key, info] of postInfoCache) {
+    if (getPostObjectId(key) === objectId) return info;
+  }
+  return null;
+}
+
+/**
+ * 取得した投稿・リールを取得した投稿シートに記録する（種別を付けてキャッシュにも反映）
+ * @param {Array} items Graph API の投稿 [{id, permalink_url, created_time}]
+ * @param {string} pageId ページID
+ * @param {string} type 'post' / 'reel'
+ */
+function recordFetchedPosts(items, pageId, type) {
+  if (!items.length) return;
+  const sh = SpreadsheetApp.getActive().getSheetByName(SHEET.POSTS);
+  const rows = items.map(p => [p.id || '', p.permalink_url || '', p.created_time || '', pageId || '', type]);
+  sh.getRange(sh.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+  if (postInfoCache) {
+    items.filter(p => p.id).forEach(p => postInfoCache.set(String(p.id), { url: p.permalink_url || '', type }));
+  }
+}
+
+/**
+ * ルールの対象投稿に一致するものだけを抽出する（「対象投稿」が空のルールは全投稿に適用）
+ * @param {Array} rules ルール配列
+ * @param {string} postId 処理中の投稿ID
+ * @return {Array} 対象投稿のルール配列
+ */
+function filterRulesForPost(rules, postId) {
+  const post = lookupPostInfo(postId);
+  return (rules || []).filter(rule =>
+    !rule.targets || rule.targets.length === 0 || rule.targets.some(ref => matchesPostRef(ref, post))
+  );
+}
+
+/**
+ * 「対象投稿」の1項目が投稿に一致するか判定する
+ * 投稿IDは「ページID_投稿ID」形式と投稿ID部分のみのどちらでも一致させる
+ * @param {string} ref 種別（post / reel）・投稿ID・URL
+ * @param {Object} post lookupPostInfo() の結果
+ * @return {boolean}
+ */
+function matchesPostRef(ref, post) {
+  const value = String(ref || '').trim();
+  const type = POST_TYPE_ALIASES[value] || value.toLowerCase();
+  if (POST_TYPES.includes(type)) return post.type === type;
+
+  if (/^https?:\/\//i.test(value)) {
+    if (post.url && normalizePostUrl(value) === normalizePostUrl(post.url)) return true;
+    // URL に含まれる投稿ID（/posts/ID, /reel/ID, /videos/ID, story_fbid=ID など）で比較
+    const objectId = getPostObjectId(post.id);
+    return value.split(/[/?&=#]/).includes(objectId);
+  }
+  return value === post.id || getPostObjectId(value) === getPostObjectId(post.id);
+}
+
+/**
+ * 「ページID_投稿ID」形式の投稿IDから投稿ID部分を取り出す
+ * @param {string} postId 投稿ID
+ * @return {string} 投稿ID部分
+ */
+function getPostObjectId(postId) {
+  const id = String(postId || '').trim();
+  return id.includes('_') ? id.slice(id.lastIndexOf('_') + 1) : id;
+}
+
+/**
+ * 比較用に投稿のURLを正規化する（スキーム・www / m などのサブドメイン・末尾のスラッシュを除く）
+ * クエリは共有時の追跡用パラメータのため除く（投稿IDをクエリで持つ permalink.php などは残す）
+ * @param {string} url URL
+ * @return {string} 正規化後のURL
+ */
+function normalizePostUrl(url) {
+  const [path, query] = String(url || '').trim().replace(/#.*$/, '').split('?');
+  const base = path.replace(/^https?:\/\/(?:www\.|m\.|web\.)?/i, '').replace(/\/+$/, '').toLowerCase();
+  return /\.php$/.test(base) && query ? `${base}?${query}` : base;
+}
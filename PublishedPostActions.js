@@ -0,0 +1,83 @@
+/**
+ * 公開済みの予約投稿の操作
+ * 予約投稿シートの「操作」列で、送信済みの行の投稿を編集（本文を更新）・削除する
+ * 実行のたびに予約投稿履歴へ変更前の本文とともに記録し、「操作」列は空に戻す
+ * （繰り返しの行は各回の投稿IDが履歴にのみ残るため対象外）
+ */
+
+// 「操作」列の選択肢
+const PUBLISHED_POST_ACTIONS = ['本文を更新', '削除'];
+
+// 操作できる行の状態
+const PUBLISHED_POST_STATUSES = ['送信済み', '更新済み'];
+
+/**
+ * 「操作」が指定された行を処理する
+ * 失敗した場合も「操作」は空に戻し（毎回の再試行を避けるため）、状態はそのままエラーを表示する
+ * @param {Sheet} sh 予約投稿シート
+ * @param {number} rowNumber 行番号
+ * @param {Object} row {action, status, postId, url, body, pageRef}
+ * @param {Array} pages 運用中のページ
+ * @param {Function} getToken ページID → トークン（取得失敗時は Error）
+ * @return {boolean} 操作が完了したか
+ */
+function applyPublishedPostAction(sh, rowNumber, row, pages, getToken) {
+  const actionCol = SCHEDULED_HEADERS.indexOf('操作') + 1;
+  const page = resolvePage(row.pageRef, pages);
+  const fail = message => {
+    sh.getRange(rowNumber, 10).setValue(message);
+    sh.getRange(rowNumber, actionCol).setValue('');
+    appendPostActionHistory(rowNumber, row, page, '失敗', message, '');
+    reportError(ERROR_CATEGORIES.SCHEDULED, `${row.action} / 行${rowNumber}`, message);
+    return false;
+  };
+
+  if (!PUBLISHED_POST_ACTIONS.includes(row.action)) return fail(`操作「${row.action}」は選択肢にありません`);
+  if (!PUBLISHED_POST_STATUSES.includes(row.status)) return fail(`操作は状態が ${PUBLISHED_POST_STATUSES.join('・')} の行にのみ使用できます`);
+  if (!row.postId) return fail('投稿IDがないため操作できません');
+  if (!page) return fail(`ページ「${row.pageRef}」は運用中のページにありません`);
+  const token = getToken(page.id);
+  if (token instanceof Error) return fail(`[${page.name}] ${token.message}`);
+
+  let previous = '';
+  try {
+    previous = getPostMessage(row.postId, token);
+    if (row.action === '本文を更新') {
+      updatePagePost(row.postId, row.body, token);
+    } else {
+      deletePagePost(row.postId, token);
+    }
+  } catch (e) {
+    // Facebook 側で削除済みの投稿は削除済みとして扱う
+    if (!(row.action === '削除' && e && e.code === 100)) {
+      return fail(String(e && e.message ? e.message : e));
+    }
+  }
+
+  const status = row.action === '削除' ? '削除済み' : '更新済み';
+  sh.getRange(rowNumber, 7).setValue(status);
+  sh.getRange(rowNumber, 10).setValue('');
+  sh.getRange(rowNumber, actionCol).setValue('');
+  appendPostActionHistory(rowNumber, row, page, status, '', previous);
+  console.log(`公開済みの投稿を${row.action === '削除' ? '削除' : '更新'}しました: ${page.name} 行${rowNumber} → ${row.postId}`);
+  return true;
+}
+
+/**
+ * 予約投稿履歴シートに操作を記録する
+ * @param {number} rowNumber 予約投稿シートの行番号
+ * @param {Object} row applyPublishedPostAction() と同じ
+ * @param {Object|null} page 投稿先ページ
+ * @param {string} status 更新済み / 削除済み / 失敗
+ * @param {string} error エラー内容
+ * @param {string} previous 変更前の本文
+ */
+function appendPostActionHistory(rowNumber, row, page, status, error, previous) {
+  ensureSheetIfMissing(SHEET.SCHEDULE_HISTORY, SCHEDULE_HISTORY_HEADERS);
+  const sh = SpreadsheetApp.getActive().getSheetByName(SHEET.SCHEDULE_HISTORY);
+  sh.appendRow([
+    new Date(), rowNumber, '', '', page ? page.name : String(row.pageRef || ''),
+    row.action === '本文を更新' ? String(row.body || '') : '',
+    row.postId || '', row.url || '', status, error || '', row.action, previous || ''
+  ]);
+}
@@ -0,0 +1,148 @@
+/**
+ * 繰り返し予約投稿
+ * 予約投稿シートの「繰り返し」列に指定した行は、投稿のたびに日付・時・分を次回の予定に進めて「予約中」のまま残す
+ * 各回の投稿ID・URLは予約投稿履歴シートに記録する
+ *
+ * 「繰り返し」の書式:
+ *  - 毎日
+ *  - 毎週:月,水,金（曜日は 日月火水木金土。「毎週」のみの場合は日付列と同じ曜日）
+ *  - 毎月:15（その月に該当日がない場合は末日）/ 毎月:末
+ */
+
+// 曜日（Date.getDay() の順）
+const RECURRENCE_WEEKDAYS = ['日', '月', '火', '水', '木', '金', '土'];
+
+// 「繰り返し」列のプルダウン候補（自由入力も可）
+const RECURRENCE_EXAMPLES = ['毎日', '毎週:月', '毎週:月,水,金', '毎月:1', '毎月:末'];
+
+/**
+ * 「繰り返し」列の値を解釈する
+ * @param {string} text 繰り返しの指定
+ * @return {Object|null} {type: 'daily'} / {type: 'weekly', days: [0-6]（空は同じ曜日）} / {type: 'monthly', day: 1-31 | 'last'}（指定なしは null）
+ */
+function parseRecurrence(text) {
+  const value = String(text || '').trim();
+  if (!value || value === 'なし') return null;
+
+  const [kind, arg] = value.split(/[:：\s]+/, 2).concat(['']);
+  if (kind === '毎日') return { type: 'daily' };
+
+  if (kind === '毎週') {
+    const days = parseWeekdayList(arg);
+    if (!days) {
+      throw new Error(`繰り返し「${value}」の曜日が不正です（例: 毎週:月,水,金）`);
+    }
+    return { type: 'weekly', days };
+  }
+
+  if (kind === '毎月') {
+    if (arg === '末' || arg === '末日') return { type: 'monthly', day: 'last' };
+    const day = parseInt(arg, 10);
+    if (!(day >= 1 && day <= 31)) throw new Error(`繰り返し「${value}」の日付が不正です（例: 毎月:15 / 毎月:末）`);
+    return { type: 'monthly', day };
+  }
+
+  throw new Error(`繰り返し「${value}」を解釈できません（毎日 / 毎週:月,水,金 / 毎月:15 / 毎月:末）`);
+}
+
+/**
+ * 曜日の指定を曜日番号の配列にする（「曜日」「曜」の付いた書き方や区切りなしの「土日」も可）
+ * 「曜日」は文字単位で除くと日曜の「日」まで消えるため、先に「曜日」「曜」を取り除いてから1文字ずつ曜日に変換する
+ * @param {string} text 曜日の指定（例: 月,水,金 / 土,日 / 日曜日）
+ * @return {Array<number>|null} 曜日番号 0(日)〜6(土) の昇順（空欄は空配列、不正な文字を含む場合は null）
+ */
+function parseWeekdayList(text) {
+  const chars = Array.from(String(text || '').replace(/曜日?/g, '').replace(/[,，、\s]/g, ''));
+  const days = Array.from(new Set(chars.map(ch => RECURRENCE_WEEKDAYS.indexOf(ch))));
+  return days.includes(-1) ? null : days.sort((a, b) => a - b);
+}
+
+/**
+ * 予定日時より後で、現在より後の次回の予定日時を求める（停止中に過ぎた回はまとめて飛ばす）
+ * 時・分は元の予定日時と同じ現地時刻（夏時間の切り替えをまたいでも現地時刻を保つ）
+ * @param {Object} recurrence parseRecurrence() の結果
+ * @param {Date} scheduled 今回の予定日時
+ * @param {Date} now 現在日時
+ * @param {string} timeZone 行のタイムゾーン（IANA名）
+ * @return {Object} {date: 次回の年月日 {year, month(1-12), day}, next: 次回の予定日時}
+ */
+function getNextOccurrence(recurrence, scheduled, now, timeZone) {
+  const local = dateToZonedTime(scheduled, timeZone);
+  let date = { year: local.year, month: local.month, day: local.day };
+  let next;
+  do {
+    date = getFollowingOccurrence(recurrence, date);
+    next = zonedTimeToDate({ year: date.year, month: date.month, day: date.day, hour: local.hour, minute: local.minute }, timeZone);
+  } while (next.getTime() <= now.getTime());
+  return { date, next };
+}
+
+/**
+ * 指定日の次の1回の日付を求める
+ * @param {Object} recurrence parseRecurrence() の結果
+ * @param {Object} from 基準の年月日 {year, month(1-12), day}
+ * @return {Object} 次の年月日 {year, month(1-12), day}
+ */
+function getFollowingOccurrence(recurrence, from) {
+  const next = new Date(Date.UTC(from.year, from.month - 1, from.day));
+  if (recurrence.type === 'daily') {
+    next.setUTCDate(next.getUTCDate() + 1);
+  } else if (recurrence.type === 'weekly') {
+    const days = recurrence.days.length > 0 ? recurrence.days : [next.getUTCDay()];
+    do {
+      next.setUTCDate(next.getUTCDate() + 1);
+    } while (!days.includes(next.getUTCDay()));
+  } else {
+    // 毎月: 翌月の指定日（該当日がなければ末日）
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+    next.setUTCDate(recurrence.day === 'last' ? lastDay : Math.min(recurrence.day, lastDay));
+  }
+  return { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() };
+}
+
+/**
+ * 繰り返しの1回分を記録し、行を次回の予定に進める（終了日・最大回数に達した場合は「送信済み」にする）
+ * @param {Sheet} sh 予約投稿シート
+ * @param {number} rowNumber 行番号
+ * @param {Object} occurrence {recurrence, scheduled, timeZone, endDate（年月日）, maxCount, count, body, page, postId, permalink, error}
+ * @param {Date} now 現在日時
+ * @return {boolean} 繰り返しが終了したか
+ */
+function completeRecurringOccurrence(sh, rowNumber, occurrence, now) {
+  const o = occurrence;
+  const count = o.count + (o.error ? 0 : 1);
+  appendScheduleHistory(rowNumber, o, count);
+
+  // 終了日は行のタイムゾーンの日付で判定する
+  const { date, next } = getNextOccurrence(o.recurrence, o.scheduled, now, o.timeZone);
+  const toDayNumber = d => d.year * 10000 + d.month * 100 + d.day;
+  const finished = (o.maxCount > 0 && count >= o.maxCount) || (o.endDate && toDayNumber(date) > toDayNumber(o.endDate));
+
+  // 状態・投稿ID・URL・エラー（投稿ID・URLは履歴に記録し、元の行は次回の予約に使う）
+  sh.getRange(rowNumber, 7, 1, 4).setValues([[finished ? '送信済み' : '予約中', '', '', o.error || '']]);
+  sh.getRange(rowNumber, SCHEDULED_HEADERS.indexOf('投稿回数') + 1).setValue(count);
+  if (!finished) {
+    sh.getRange(rowNumber, 3).setValue(toSheetDateValue(date));
+  }
+  const result = o.error ? `${count + 1} 回目の投稿に失敗しました` : `${count} 回目を記録しました`;
+  console.log(`繰り返し予約投稿 行${rowNumber}: ${result}（${finished ? '終了' : `次回 ${Utilities.formatDate(next, o.timeZone, 'yyyy/MM/dd HH:mm')} ${o.timeZone}`}）`);
+  return finished;
+}
+
+/**
+ * 予約投稿履歴シートに1回分を追記する
+ * @param {number} rowNumber 予約投稿シートの行番号
+ * @param {Object} occurrence completeRecurringOccurrence() と同じ
+ * @param {number} count この回までの投稿回数
+ */
+function appendScheduleHistory(rowNumber, occurrence, count) {
+  ensureSheetIfMissing(SHEET.SCHEDULE_HISTORY, SCHEDULE_HISTORY_HEADERS);
+  const sh = SpreadsheetApp.getActive().getSheetByName(SHEET.SCHEDULE_HISTORY);
+  const o = occurrence;
+  sh.appendRow([
+    new Date(), rowNumber, count, o.scheduled, o.page ? o.page.name : '', o.body || '',
+    o.postId || '', o.permalink || '', o.error ? '失敗' : '送信済み', o.error || '', '投稿', ''
+  ]);
+}
@@ -0,0 +1,207 @@
+/**
+ * 返信テンプレート
+ * 変数（{name} など）・スピンタックス（{A|B|C}）・時間帯による出し分け（{朝:…|昼:…|夜:…}）を展開する
+ */
+
+// テンプレートで使える変数と説明
+const TEMPLATE_VARIABLES = {
+  'name': 'コメント投稿者名',
+  'first_name': '投稿者の名（Facebookの表示名から推定）',
+  'last_name': '投稿者の姓（Facebookの表示名から推定）',
+  'post_url': '投稿のURL（取得した投稿シートから）',
+  'page_name': 'ページ名',
+  'date': '日付（スプレッドシートのタイムゾーン）',
+  'time': '時刻（スプレッドシートのタイムゾーン）',
+  'comment': 'コメントの引用（先頭30文字）',
+  'greeting': '時間帯のあいさつ（おはようございます/こんにちは/こんばんは）'
+};
+
+// 時間帯の区分（開始時刻。朝 5:00-10:59 / 昼 11:00-17:59 / 夜 それ以外）
+const TIME_OF_DAY_RANGES = [
+  { label: '朝', from: 5, greeting: 'おはようございます' },
+  { label: '昼', from: 11, greeting: 'こんにちは' },
+  { label: '夜', from: 18, greeting: 'こんばんは' }
+];
+
+// 変数の書式（「|」を含まない {…}。{名前} のような誤記・未定義の変数も対象にして除去・検出する）
+const TEMPLATE_VARIABLE_PATTERN = /\{([^{}|]*)\}/g;
+
+// {comment} で引用する最大文字数
+const TEMPLATE_COMMENT_EXCERPT_LENGTH = 30;
+
+/**
+ * テンプレートを展開する
+ * 変数は値に含まれる「{」「|」がスピンタックスとして解釈されないよう、最後に差し込む
+ * @param {string} template テンプレート
+ * @param {Object} context {name, message, postId, page: {name}, now}
+ * @return {Object} {text, unknown} 展開後のテキストと、除去した未定義の変数
+ */
+function renderReplyTemplate(template, context) {
+  const vars = buildTemplateVariables(context || {});
+  const values = [];
+  const unknown = [];
+
+  // 1) 変数を目印に置き換え（未定義の変数は顧客に見せないよう除去）
+  let text = String(template || '').replace(TEMPLATE_VARIABLE_PATTERN, (match, key) => {
+    if (!Object.prototype.hasOwnProperty.call(TEMPLATE_VARIABLES, key)) {
+      unknown.push(match);
+      return '';
+    }
+    values.push(vars[key]);
+    return `\u0000${values.length - 1}\u0000`;
+  });
+
+  // 2) スピンタックスを内側から展開
+  const hour = vars.hour;
+  const spin = /\{([^{}]*\|[^{}]*)\}/;
+  while (spin.test(text)) {
+    text = text.replace(spin, (match, body) => chooseSpintaxOption(body.split('|'), hour));
+  }
+
+  // 3) 変数の値を差し込む
+  text = text.replace(/\u0000(\d+)\u0000/g, (match, i) => values[Number(i)]);
+  return { text, unknown };
+}
+
+/**
+ * スピンタックスの選択肢から1つ選ぶ
+ * すべての選択肢が「朝:」「昼:」「夜:」で始まる場合は現在の時間帯のものを使う（該当なしは空文字）
+ * @param {Array<string>} options 選択肢
+ * @param {number} hour 現在の時（0-23）
+ * @return {string} 選ばれた文字列
+ */
+function chooseSpintaxOption(options, hour) {
+  const labels = TIME_OF_DAY_RANGES.map(r => r.label);
+  const conditional = options.every(o => labels.some(label => o.startsWith(`${label}:`)));
+  if (conditional) {
+    const current = getTimeOfDay(hour).label;
+    const hit = options.find(o => o.startsWith(`${current}:`));
+    return hit ? hit.slice(current.length + 1) : '';
+  }
+  return options[Math.floor(Math.random() * options.length)];
+}
+
+/**
+ * 時から時間帯の区分を返す
+ * @param {number} hour 時（0-23）
+ * @return {Object} TIME_OF_DAY_RANGES の要素
+ */
+function getTimeOfDay(hour) {
+  let current = TIME_OF_DAY_RANGES[TIME_OF_DAY_RANGES.length - 1];
+  TIME_OF_DAY_RANGES.forEach(range => {
+    if (hour >= range.from) current = range;
+  });
+  return current;
+}
+
+/**
+ * テンプレート変数の値を作成する
+ * @param {Object} context {name, message, postId, page: {name}, now}
+ * @return {Object} 変数名→値（hour は内部用）
+ */
+function buildTemplateVariables(context) {
+  const now = context.now || new Date();
+  const timeZone = SpreadsheetApp.getActive().getSpreadsheetTimeZone();
+  const hour = parseInt(Utilities.formatDate(now, timeZone, 'H'), 10);
+  const { firstName, lastName } = splitDisplayName(context.name);
+
+  return {
+    name: context.name || '',
+    first_name: firstName,
+    last_name: lastName,
+    post_url: context.postId ? lookupPostUrl(context.postId) : '',
+    page_name: context.page && context.page.name ? context.page.name : '',
+    date: Utilities.formatDate(now, timeZone, 'yyyy/MM/dd'),
+    time: Utilities.formatDate(now, timeZone, 'HH:mm'),
+    comment: quoteCommentExcerpt(context.message),
+    greeting: getTimeOfDay(hour).greeting,
+    hour
+  };
+}
+
+/**
+ * Facebook の表示名を姓・名に分ける
+ * 漢字・かなを含む名前は「姓 名」、それ以外は「名 姓」の順とみなす。空白がなければ全体を名とする
+ * @param {string} name 表示名
+ * @return {Object} {firstName, lastName}
+ */
+function splitDisplayName(name) {
+  const parts = String(name || '').trim().split(/[\s　]+/).filter(Boolean);
+  if (parts.length < 2) return { firstName: parts[0] || '', lastName: '' };
+  if (/[\u3040-\u30ff\u3400-\u9fff]/.test(parts.join(''))) {
+    return { firstName: parts.slice(1).join(' '), lastName: parts[0] };
+  }
+  return { firstName: parts[0], lastName: parts.slice(1).join(' ') };
+}
+
+/**
+ * コメントの引用を作る（改行は空白に、長い場合は省略）
+ * @param {string} message コメント本文
+ * @return {string} 「…」で囲んだ引用（本文が空なら空文字）
+ */
+function quoteCommentExcerpt(message) {
+  const text = String(message || '').replace(/\s+/g, ' ').trim();
+  if (!text) return '';
+  const chars = Array.from(text);
+  const excerpt = chars.length > TEMPLATE_COMMENT_EXCERPT_LENGTH
+    ? chars.slice(0, TEMPLATE_COMMENT_EXCERPT_LENGTH).join('') + '…'
+    : text;
+  return `「${excerpt}」`;
+}
+
+/**
+ * 取得した投稿シートから投稿のURLを探す（見つからなければ投稿IDからURLを組み立てる）
+ * @param {string} postId 投稿ID
+ * @return {string} URL
+ */
+function lookupPostUrl(postId) {
+  return lookupPostInfo(postId).url || `https://www.facebook.com/${postId}`;
+}
+
+/**
+ * テンプレートの誤りを検出する（未定義の変数・かっこの対応・空の選択肢）
+ * @param {string} template テンプレート
+ * @return {Array<string>} 問題の説明（問題がなければ空配列）
+ */
+function validateReplyTemplate(template) {
+  const text = String(template || '');
+  const problems = [];
+
+  const unknown = (text.match(TEMPLATE_VARIABLE_PATTERN) || [])
+    .filter(m => !Object.prototype.hasOwnProperty.call(TEMPLATE_VARIABLES, m.slice(1, -1)));
+  if (unknown.length > 0) problems.push(`未定義の変数: ${Array.from(new Set(unknown)).join(', ')}`);
+
+  let depth = 0;
+  for (const ch of text) {
+    if (ch === '{') depth++;
+    if (ch === '}') depth--;
+    if (depth < 0) break;
+  }
+  if (depth !== 0) problems.push('「{」と「}」の数が合っていません');
+
+  (text.match(/\{[^{}]*\|[^{}]*\}/g) || []).forEach(m => {
+    if (m.slice(1, -1).split('|').some(o => o.trim() === '')) problems.push(`空の選択肢があります: ${m}`);
+  });
+  return problems;
+}
+
+/**
+ * ルールシートの返信内容・非公開返信内容を検証して結果を表示する（有効期間の列の書式も確認）
+ */
+function validateRuleTemplates() {
+  const problems = [];
+  loadRules().forEach(rule => {
+    [['自動返信内容', rule.template], ['非公開返信内容', rule.privateTemplate]].forEach(([column, template]) => {
+      validateReplyTemplate(template).forEach(p => problems.push(`行${rule.row} ${column}: ${p}`));
+    });
+    if (rule.scheduleError) problems.push(`行${rule.row} 有効期間: ${rule.scheduleError}`);
+  });
+
+  const variables = Object.keys(TEMPLATE_VARIABLES).map(key => `{${key}} … ${TEMPLATE_VARIABLES[key]}`).join('\n');
+  SpreadsheetApp.getUi().alert(
+    (problems.length > 0 ? `⚠️ ${problems.length} 件の問題が見つかりました。\n\n${problems.join('\n')}` : '✅ テンプレートに問題は見つかりませんでした。') +
+    `\n\n【使える変数】\n${variables}\n\n` +
+    '【スピンタックス】{こんにちは|こんばんは} … ランダムに1つ\n' +
+    '【時間帯】{朝:おはようございます|昼:こんにちは|夜:こんばんは} … 朝5-10時/昼11-17時/夜18-4時'
+  );
+}
@@ -0,0 +1,206 @@
+/**
+ * ログ保持管理
+ * 「ログ保持日数」を超えたログ・処理済みの行をアーカイブまたは削除する（日次トリガーから実行）
+ */
+
+/**
+ * 保持期間を適用してログ・処理済みシートを整理する
+ * 処理済みは監視中の投稿（手動指定の投稿ID・検索日数内の取得した投稿）の行を残し、二重返信を防ぐ
+ * 監視対象から外れた投稿のコメント取得再開カーソルも削除する（ログ保持日数に関係なく実行）
+ * @return {Object} {logs, processed, kept, mode, cursors} 整理した行数と整理方法、削除したカーソル数
+ */
+function applyLogRetention() {
+  const settings = getSettings();
+  const retentionDays = parseInt(settings.get('ログ保持日数') || '30', 10);
+  const mode = String(settings.get('ログ整理方法') || 'アーカイブ').trim() === '削除' ? '削除' : 'アーカイブ';
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30 * 1000)) throw new Error('他の処理が実行中のためログ整理をスキップしました。');
+  try {
+    const monitoredPostIds = getMonitoredPostIds(settings);
+    const cursors = clearStaleCommentCursors(monitoredPostIds);
+    if (!(retentionDays > 0)) {
+      console.log('ログ保持日数が0以下のため整理をスキップします');
+      return { logs: 0, processed: 0, kept: 0, mode, cursors };
+    }
+
+    const cutoffMs = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const archiveId = String(settings.get('アーカイブ先スプレッドシートID') || '').trim();
+    const archive = mode === 'アーカイブ' ? (archiveId ? SpreadsheetApp.openById(archiveId) : SpreadsheetApp.getActive()) : null;
+
+    const ss = SpreadsheetApp.getActive();
+    const logsSheet = ss.getSheetByName(SHEET.LOGS);
+    const processedSheet = ss.getSheetByName(SHEET.PROCESSED);
+
+    // ログを削除する前に、処理済みの投稿IDをログから補完しておく
+    const processedResult = processedSheet
+      ? trimProcessedSheet(processedSheet, cutoffMs, monitoredPostIds, buildCommentPostMap(logsSheet), archive)
+      : { removed: 0, kept: 0 };
+    const removedLogs = logsSheet
+      ? trimSheetRows(logsSheet, LOG_HEADERS, row => parseSheetDate(row[0]), row => parseSheetDate(row[0]) < cutoffMs, archive)
+      : 0;
+
+    console.log(`ログ整理（${mode}）: ログ ${removedLogs} 件 / 処理済み ${processedResult.removed} 件（監視中・投稿ID不明のため保持 ${processedResult.kept} 件）/ 取得再開カーソル ${cursors} 件`);
+    return { logs: removedLogs, processed: processedResult.removed, kept: processedResult.kept, mode, cursors };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * 処理済みシートの投稿ID列を補完し、保持期間を過ぎた行を整理する
+ * 投稿IDが不明な行は監視中の投稿かどうか判断できないため残す
+ * @param {Sheet} sh 処理済みシート
+ * @param {number} cutoffMs この時刻より前の行が整理対象
+ * @param {Set<string>} monitoredPostIds 監視中の投稿ID
+ * @param {Map<string,string>} commentPostMap コメントID→投稿ID（ログから作成）
+ * @param {Spreadsheet|null} archive アーカイブ先（削除のみの場合は null）
+ * @return {Object} {removed, kept} 整理した行数と監視中のため残した行数
+ */
+function trimProcessedSheet(sh, cutoffMs, monitoredPostIds, commentPostMap, archive) {
+  appendMissingHeaders(sh, PROCESSED_HEADERS);
+  const last = sh.getLastRow();
+  if (last < 2) return { removed: 0, kept: 0 };
+
+  // 旧形式（投稿ID列なし）の行はログから投稿IDを補完
+  const postIdRange = sh.getRange(2, 3, last - 1, 1);
+  const commentIds = sh.getRange(2, 1, last - 1, 1).getValues();
+  const postIds = postIdRange.getValues();
+  let filled = 0;
+  postIds.forEach((cell, i) => {
+    const commentId = String(commentIds[i][0] || '').trim();
+    if (!String(cell[0] || '').trim() && commentPostMap.has(commentId)) {
+      cell[0] = commentPostMap.get(commentId);
+      filled++;
+    }
+  });
+  if (filled > 0) postIdRange.setValues(postIds);
+
+  let kept = 0;
+  const removed = trimSheetRows(sh, PROCESSED_HEADERS, row => parseSheetDate(row[1]), row => {
+    const created = parseSheetDate(row[1]);
+    if (!(created < cutoffMs)) return false;
+    const postId = String(row[2] || '').trim();
+    if (!postId || monitoredPostIds.has(postId)) {
+      kept++;
+      return false;
+    }
+    return true;
+  }, archive);
+  return { removed, kept };
+}
+
+/**
+ * 条件に合う行をアーカイブ（任意）したうえでシートから削除する
+ * 連続する行はまとめて下から削除する（実行中に末尾へ追記された行に影響しないため）
+ * @param {Sheet} sh 対象シート
+ * @param {Array} headers アーカイブシートのヘッダー
+ * @param {Function} getDate 行 → 日時（ミリ秒）。アーカイブ先の月別シートの振り分けに使用
+ * @param {Function} shouldRemove 行 → 整理対象かどうか
+ * @param {Spreadsheet|null} archive アーカイブ先（削除のみの場合は null）
+ * @return {number} 整理した行数
+ */
+function trimSheetRows(sh, headers, getDate, shouldRemove, archive) {
+  const last = sh.getLastRow();
+  if (last < 2) return 0;
+  const width = Math.max(headers.length, sh.getLastColumn());
+  const values = sh.getRange(2, 1, last - 1, width).getValues();
+
+  const removeIndexes = [];
+  values.forEach((row, i) => { if (shouldRemove(row)) removeIndexes.push(i); });
+  if (removeIndexes.length === 0) return 0;
+
+  if (archive) {
+    archiveRows(archive, sh.getName(), headers, removeIndexes.map(i => values[i]), getDate);
+  }
+
+  // 連続区間ごとに下から削除
+  for (let end = removeIndexes.length - 1; end >= 0;) {
+    let start = end;
+    while (start > 0 && removeIndexes[start - 1] === removeIndexes[start] - 1) start--;
+    sh.deleteRows(removeIndexes[start] + 2, end - start + 1);
+    end = start - 1;
+  }
+  return removeIndexes.length;
+}
+
+/**
+ * 行を月別のアーカイブシート（例: ログ_2025-01）に追記する
+ * @param {Spreadsheet} archive アーカイブ先
+ * @param {string} baseName 元のシート名
+ * @param {Array} headers ヘッダー
+ * @param {Array<Array>} rows 追記する行
+ * @param {Function} getDate 行 → 日時（ミリ秒）
+ */
+function archiveRows(archive, baseName, headers, rows, getDate) {
+  const timeZone = Session.getScriptTimeZone();
+  const groups = new Map();
+  rows.forEach(row => {
+    const ms = getDate(row);
+    const suffix = isNaN(ms) ? '日時不明' : Utilities.formatDate(new Date(ms), timeZone, 'yyyy-MM');
+    const name = `${baseName}_${suffix}`;
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(row);
+  });
+
+  groups.forEach((groupRows, name) => {
+    let sh = archive.getSheetByName(name);
+    if (!sh) {
+      sh = archive.insertSheet(name);
+      sh.getRange(1, 1, 1, headers.length).setValues([headers]);
+      sh.setFrozenRows(1);
+    }
+    const width = Math.max(...groupRows.map(r => r.length));
+    const normalized = groupRows.map(r => r.concat(new Array(width - r.length).fill('')));
+    sh.getRange(sh.getLastRow() + 1, 1, normalized.length, width).setValues(normalized);
+  });
+}
+
+/**
+ * 監視中の投稿IDを取得する（手動指定の投稿ID + 検索日数内に作成された取得した投稿）
+ * これらの投稿は毎回コメントを先頭から読み直すため、処理済みIDを消すと二重返信になる
+ * @param {Map} settings 設定Map
+ * @return {Set<string>} 投稿IDのSet
+ */
+function getMonitoredPostIds(settings) {
+  const ids = new Set((settings.get('投稿ID') || '').split(',').map(s => s.trim()).filter(Boolean));
+
+  const sh = SpreadsheetApp.getActive().getSheetByName(SHEET.POSTS);
+  if (sh && sh.getLastRow() >= 2) {
+    // 自動検出は検索日数内に作成された投稿が対象。境界のずれを考慮して1日余裕を持たせる
+    const lookbackDays = parseInt(settings.get('検索日数') || '3', 10);
+    const sinceMs = Date.now() - (lookbackDays + 1) * 24 * 60 * 60 * 1000;
+    sh.getRange(2, 1, sh.getLastRow() - 1, 3).getValues().forEach(([id, , created]) => {
+      const createdMs = parseSheetDate(created);
+      if (id && (isNaN(createdMs) || createdMs >= sinceMs)) ids.add(String(id).trim());
+    });
+  }
+  return ids;
+}
+
+/**
+ * ログシートからコメントID→投稿IDの対応表を作成する
+ * @param {Sheet|null} logsSheet ログシート
+ * @return {Map<string,string>} コメントID→投稿ID
+ */
+function buildCommentPostMap(logsSheet) {
+  const map = new Map();
+  if (!logsSheet || logsSheet.getLastRow() < 2) return map;
+  logsSheet.getRange(2, 2, logsSheet.getLastRow() - 1, 2).getValues().forEach(([postId, commentId]) => {
+    if (postId && commentId) map.set(String(commentId).trim(), String(postId).trim());
+  });
+  return map;
+}
+
+/**
+ * シートの日時セル（Date または Graph API の created_time 文字列）をミリ秒にする
+ * @param {*} value セル値
+ * @return {number} ミリ秒（解釈できない場合は NaN）
+ */
+function parseSheetDate(value) {
+  if (value instanceof Date) return value.getTime();
+  const text = String(value || '').trim();
+  if (!text) return NaN;
+  // 2025-01-01T00:00:00+0000 形式のオフセットをコロン付きに揃える
+  return new Date(text.replace(/([+-]\d{2})(\d{2})$/, '$1:$2')).getTime();
+}
@@ -0,0 +1,134 @@
+/**
+ * ルールの有効期間
+ * ルールシートの「開始日時」「終了日時」「有効曜日」「有効時間帯」で、キャンペーン期間や営業時間だけルールを有効にする
+ * 期間外のルールは無効として扱い、キーワードに一致した場合はログに期間外の理由を残す
+ * 曜日・時間帯はスプレッドシートのタイムゾーンで判定する
+ *
+ * 書式:
+ *  - 有効曜日: 月,火,水,木,金（空欄は毎日）
+ *  - 有効時間帯: 9:00-18:00（複数は 9:00-12:00,13:00-18:00、日付をまたぐ 22:00-2:00 も可。空欄は終日）
+ *  - 終了日時: 時刻が 0:00 の場合はその日の終わりまで有効
+ */
+
+// 「有効曜日」列のプルダウン候補（自由入力も可）
+const RULE_WEEKDAY_EXAMPLES = ['月,火,水,木,金', '土,日'];
+
+/**
+ * ルール行の有効期間の列を解釈する（書式が不正な場合は scheduleError に理由を入れ、ルールは無効として扱う）
+ * @param {*} startVal 開始日時セル
+ * @param {*} endVal 終了日時セル
+ * @param {*} weekdaysVal 有効曜日セル
+ * @param {*} hoursVal 有効時間帯セル
+ * @param {string} timeZone スプレッドシートのタイムゾーン
+ * @return {Object} {startAt, endAt, weekdays, hours, timeZone, scheduleError}
+ */
+function parseRuleSchedule(startVal, endVal, weekdaysVal, hoursVal, timeZone) {
+  const schedule = { startAt: null, endAt: null, weekdays: [], hours: [], timeZone, scheduleError: '' };
+  try {
+    schedule.startAt = parseRuleDateTime(startVal, '開始日時');
+    schedule.endAt = parseRuleDateTime(endVal, '終了日時');
+    if (schedule.endAt && Utilities.formatDate(schedule.endAt, timeZone, 'HH:mm:ss') === '00:00:00') {
+      schedule.endAt = new Date(schedule.endAt.getTime() + 24 * 60 * 60 * 1000 - 1000);
+    }
+    schedule.weekdays = parseRuleWeekdays(weekdaysVal);
+    schedule.hours = parseRuleHours(hoursVal);
+  } catch (e) {
+    schedule.scheduleError = e.message;
+  }
+  return schedule;
+}
+
+/**
+ * 開始日時・終了日時セルを日時にする
+ * @param {*} value セル値
+ * @param {string} column 列名（エラー表示用）
+ * @return {Date|null} 日時（空欄は null）
+ */
+function parseRuleDateTime(value, column) {
+  if (value === '' || value === null || value === undefined) return null;
+  const date = value instanceof Date ? value : new Date(String(value).trim().replace(/-/g, '/'));
+  if (isNaN(date.getTime())) throw new Error(`${column}「${value}」を日時として解釈できません`);
+  return date;
+}
+
+/**
+ * 有効曜日セルを曜日番号の配列にする
+ * @param {*} value セル値（例: 月,水,金 / 土日）
+ * @return {Array<number>} 曜日番号 0(日)〜6(土)（空欄は空配列 = 毎日）
+ */
+function parseRuleWeekdays(value) {
+  const text = String(value || '').trim();
+  const days = parseWeekdayList(text);
+  if (!days) throw new Error(`有効曜日「${text}」が不正です（例: 月,火,水,木,金）`);
+  return days;
+}
+
+/**
+ * 有効時間帯セルを分単位の範囲の配列にする
+ * @param {*} value セル値（例: 9:00-18:00,22:00-2:00）
+ * @return {Array<Object>} [{start, end}]（0:00 からの分。end は含まない。空欄は空配列 = 終日）
+ */
+function parseRuleHours(value) {
+  const text = String(value || '').normalize('NFKC').trim();
+  if (!text) return [];
+  const toMinutes = part => {
+    const m = part.trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+    if (!m || +m[1] > 24 || +(m[2] || 0) > 59 || (+m[1] === 24 && +(m[2] || 0) > 0)) return NaN;
+    return +m[1] * 60 + +(m[2] || 0);
+  };
+  return text.split(/[,、\n]/).map(v => v.trim()).filter(Boolean).map(range => {
+    const [start, end] = range.split(/[-~〜]/).map(toMinutes);
+    if (isNaN(start) || isNaN(end) || start === end) {
+      throw new Error(`有効時間帯「${range}」が不正です（例: 9:00-18:00）`);
+    }
+    return { start, end };
+  });
+}
+
+/**
+ * ルールが有効期間外の場合にその理由を返す
+ * @param {Object} rule loadRules() のルール
+ * @param {Date} now 判定する日時
+ * @return {string} 期間外の理由（有効期間内は空文字）
+ */
+function getRuleInactiveReason(rule, now) {
+  if (rule.scheduleError) return rule.scheduleError;
+  const tz = rule.timeZone || Session.getScriptTimeZone();
+  const format = date => Utilities.formatDate(date, tz, 'yyyy/MM/dd HH:mm');
+  if (rule.startAt && now.getTime() < rule.startAt.getTime()) return `開始日時（${format(rule.startAt)}）前です`;
+  if (rule.endAt && now.getTime() > rule.endAt.getTime()) return `終了日時（${format(rule.endAt)}）を過ぎています`;
+
+  const weekday = parseInt(Utilities.formatDate(now, tz, 'u'), 10) % 7; // 'u' は 1(月)〜7(日)
+  if (rule.weekdays && rule.weekdays.length > 0 && !rule.weekdays.includes(weekday)) {
+    return `有効曜日（${rule.weekdays.map(d => RECURRENCE_WEEKDAYS[d]).join(',')}）外です`;
+  }
+
+  if (rule.hours && rule.hours.length > 0) {
+    const [h, m] = Utilities.formatDate(now, tz, 'HH:mm').split(':').map(Number);
+    const minutes = h * 60 + m;
+    const inRange = rule.hours.some(r => r.start < r.end
+      ? minutes >= r.start && minutes < r.end
+      : minutes >= r.start || minutes < r.end);
+    if (!inRange) {
+      const toText = v => `${Math.floor(v / 60)}:${String(v % 60).padStart(2, '0')}`;
+      return `有効時間帯（${rule.hours.map(r => `${toText(r.start)}-${toText(r.end)}`).join(',')}）外です`;
+    }
+  }
+  return '';
+}
+
+/**
+ * キーワードには一致したが有効期間外のためマッチしなかったルールの理由をまとめる（ログ用）
+ * @param {string} message コメントメッセージ
+ * @param {Array} rules ルール配列
+ * @param {Date} now 判定する日時
+ * @return {string} 例: 行3「送料」: 終了日時（2025/03/31 23:59）を過ぎています（該当なしは空文字）
+ */
+function describeInactiveMatchingRules(message, rules, now) {
+  return (rules || [])
+    .filter(rule => rule.enabled && rule.keyword && matchesRule(message, rule))
+    .map(rule => ({ rule, reason: getRuleInactiveReason(rule, now) }))
+    .filter(({ reason }) => reason)
+    .map(({ rule, reason }) => `行${rule.row}「${rule.keyword}」: ${reason}`)
+    .join(' / ');
+}
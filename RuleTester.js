@@ -0,0 +1,205 @@
+/**
+ * ルールテスター
+ * サイドバーにサンプルのコメント・投稿者名を入力し、どのルールが採用されるか・その理由・返信内容を確認する
+ * 判定は自動返信と同じ findMatchingRules() / findMatchingRule() / generateReply() を使う（送信・記録は行わない）
+ */
+
+/**
+ * ルールテスターのサイドバーを表示する
+ */
+function showRuleTester() {
+  const htmlOutput = HtmlService.createHtmlOutput(`
+    <div style="font-family: Arial, sans-serif; padding: 12px; font-size: 13px;">
+      <div style="margin-bottom: 10px;">
+        <label for="message" style="display: block; margin-bottom: 4px; font-weight: bold;">コメント</label>
+        <textarea id="message" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px; height: 80px;" placeholder="例: 申込したいです"></textarea>
+      </div>
+      <div style="margin-bottom: 10px;">
+        <label for="name" style="display: block; margin-bottom: 4px; font-weight: bold;">投稿者名</label>
+        <input id="name" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;" placeholder="例: 山田 太郎">
+      </div>
+      <div style="margin-bottom: 10px;">
+        <label for="page" style="display: block; margin-bottom: 4px; font-weight: bold;">ページ</label>
+        <select id="page" style="width: 100%; padding: 6px;"><option value="">（ページ指定なし）</option></select>
+      </div>
+      <div style="margin-bottom: 12px;">
+        <label for="postId" style="display: block; margin-bottom: 4px; font-weight: bold;">投稿ID（任意）</label>
+        <input id="postId" style="width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px;" placeholder="空欄の場合は「対象投稿」の指定を無視">
+      </div>
+      <button onclick="runTest()" style="background-color: #2563EB; color: white; padding: 6px 14px; border: none; border-radius: 4px; cursor: pointer;">判定する</button>
+      <div id="status" style="margin-top: 8px; color: #6B7280;"></div>
+      <div id="result" style="margin-top: 12px;"></div>
+    </div>
+
+    <script>
+      google.script.run.withSuccessHandler(function(pages) {
+        const select = document.getElementById('page');
+        pages.forEach(function(page) {
+          const option = document.createElement('option');
+          option.value = page.id;
+          option.textContent = page.name;
+          select.appendChild(option);
+        });
+      }).getRuleTesterPages();
+
+      function runTest() {
+        document.getElementById('status').textContent = '判定しています...';
+        google.script.run
+          .withSuccessHandler(onResult)
+          .withFailureHandler(function(error) {
+            document.getElementById('status').textContent = '❌ エラー: ' + (error && error.message ? error.message : error);
+          })
+          .testRuleMatch({
+            message: document.getElementById('message').value,
+            name: document.getElementById('name').value,
+            pageId: document.getElementById('page').value,
+            postId: document.getElementById('postId').value
+          });
+      }
+
+      function addBlock(parent, title, lines, color) {
+        const block = document.createElement('div');
+        block.style.cssText = 'margin-bottom: 10px; padding: 8px; border-radius: 4px; background: ' + (color || '#F9FAFB') + ';';
+        const heading = document.createElement('div');
+        heading.style.fontWeight = 'bold';
+        heading.style.marginBottom = '4px';
+        heading.textContent = title;
+        block.appendChild(heading);
+        lines.forEach(function(line) {
+          const div = document.createElement('div');
+          div.style.whiteSpace = 'pre-wrap';
+          div.textContent = line;
+          block.appendChild(div);
+        });
+        parent.appendChild(block);
+      }
+
+      function onResult(result) {
+        const area = document.getElementById('result');
+        area.innerHTML = '';
+        document.getElementById('status').textContent = '';
+        if (!result.success) {
+          document.getElementById('status').textContent = '❌ エラー: ' + result.error;
+          return;
+        }
+        if (result.ngWord) addBlock(area, '⚠️ NGワードに該当（実際には返信せず ' + result.ngWord.action + '）', [result.ngWord.reason], '#FEE2E2');
+        if (!result.winner) {
+          addBlock(area, 'マッチするルールはありません', result.inactive ? [result.inactive] : [], '#F3F4F6');
+          return;
+        }
+        addBlock(area, '✅ 採用ルール: 行' + result.winner.row + '「' + result.winner.keyword + '」', result.winner.reasons, '#DCFCE7');
+        const reply = result.reply;
+        const replyLines = ['アクション: ' + reply.action + (reply.like ? '（いいね する）' : ''), 'バリエーション: ' + reply.variant + '（' + result.variantCount + ' 件から抽選）'];
+        if (reply.text) replyLines.push('公開返信:\\n' + reply.text);
+        if (reply.privateText) replyLines.push('非公開返信:\\n' + reply.privateText);
+        if (reply.unknown.length > 0) replyLines.push('未定義の変数（除去）: ' + reply.unknown.join(', '));
+        addBlock(area, '返信内容', replyLines, '#EFF6FF');
+        if (result.others.length > 0) {
+          addBlock(area, 'ほかにマッチしたルール', result.others.map(function(other) {
+            return '行' + other.row + '「' + other.keyword + '」: ' + other.reason;
+          }));
+        }
+        if (result.inactive) addBlock(area, '有効期間外のルール', [result.inactive], '#F3F4F6');
+      }
+    </script>
+  `).setTitle('ルールテスター');
+
+  SpreadsheetApp.getUi().showSidebar(htmlOutput);
+}
+
+/**
+ * サイドバーのページ選択肢（トークンは渡さない）
+ * @return {Array} [{id, name}]
+ */
+function getRuleTesterPages() {
+  return getEnabledPages().map(p => ({ id: String(p.id), name: p.name || String(p.id) }));
+}
+
+/**
+ * サンプルのコメントでルールを判定し、採用ルール・理由・返信内容を返す
+ * @param {Object} input {message, name, pageId, postId}（pageId・postId が空の場合はページ・対象投稿で絞り込まない）
+ * @return {Object} {success, winner: {row, keyword, reasons}, others: [{row, keyword, reason}], variantCount, reply, ngWord, inactive}
+ *   または {success: false, error}
+ */
+function testRuleMatch(input) {
+  try {
+    const message = String(input.message || '');
+    if (!message.trim()) throw new Error('コメントを入力してください');
+    const postId = String(input.postId || '').trim();
+    const page = getEnabledPages().find(p => String(p.id) === String(input.pageId)) || null;
+
+    // 自動返信と同じ絞り込み（ページ → 対象投稿）
+    let rules = loadRules();
+    let ngWords = loadNgWords();
+    if (page) {
+      rules = filterRulesForPage(rules, page);
+      ngWords = filterRulesForPage(ngWords, page);
+    }
+    if (postId) rules = filterRulesForPost(rules, postId);
+
+    const ngWord = findNgWord(message, ngWords);
+    const matched = findMatchingRules(message, rules);
+    const winner = findMatchingRule(message, rules);
+    const result = {
+      success: true,
+      ngWord: ngWord ? { action: ngWord.action, reason: `行${ngWord.row}「${ngWord.keyword}」（${ngWord.matchType}）` } : null,
+      inactive: describeInactiveMatchingRules(message, rules, new Date()),
+      winner: null,
+      others: [],
+      variantCount: 0,
+      reply: null
+    };
+    if (!winner) return result;
+
+    const reply = generateReply(winner, { name: String(input.name || ''), message, postId, page });
+    result.winner = { row: winner.row, keyword: winner.keyword, reasons: explainRuleMatch(winner, matched.length) };
+    result.others = matched.slice(1).map(rule => ({ row: rule.row, keyword: rule.keyword, reason: explainRuleRank(rule, winner) }));
+    result.variantCount = winner.variants.length;
+    result.reply = { text: reply.text, privateText: reply.privateText, action: reply.action, like: reply.like, variant: reply.variant, unknown: reply.unknown };
+    return result;
+  } catch (e) {
+    return { success: false, error: e && e.message ? e.message : String(e) };
+  }
+}
+
+/**
+ * 採用ルールがマッチした理由と採用された理由を説明する
+ * @param {Object} rule findMatchingRule() が返したルール
+ * @param {number} matchedCount マッチしたルールの件数
+ * @return {Array<string>} 説明文
+ */
+function explainRuleMatch(rule, matchedCount) {
+  const keyword = rule.keyword;
+  const how = {
+    '完全一致': `コメント全体が「${keyword}」と一致`,
+    '前方一致': `コメントが「${keyword}」で始まる`,
+    '後方一致': `コメントが「${keyword}」で終わる`,
+    '正規表現': `正規表現 /${keyword}/i に一致`
+  }[rule.matchType] || `コメントに「${keyword}」を含む`;
+  // 正規表現はコメントを正規化せず i フラグのみで判定する（matchesRule() 参照）
+  const normalization = rule.matchType === '正規表現'
+    ? '大文字/小文字は区別しないが、全角/半角は区別する'
+    : '全角/半角・大文字/小文字は区別しない';
+  const reasons = [
+    `マッチタイプ: ${rule.matchType}（${how}。${normalization}）`,
+    `優先順位: ${rule.priority}（小さいほど優先） / 重み: ${rule.weight}（同じ優先順位では大きいほど優先）`
+  ];
+  if (matchedCount > 1) reasons.push(`マッチした ${matchedCount} 件のうち、優先順位 → 重み → シート上の順で最上位`);
+  if (rule.variants.length > 1) reasons.push(`同じキーワード・マッチタイプの ${rule.variants.length} 件のバリエーションから重みで抽選`);
+  return reasons;
+}
+
+/**
+ * 採用されなかったルールが採用ルールより下位になった理由を説明する（findMatchingRules() の並び順と同じ基準）
+ * @param {Object} rule マッチしたが採用されなかったルール
+ * @param {Object} winner 採用ルール
+ * @return {string} 説明文
+ */
+function explainRuleRank(rule, winner) {
+  if (rule.keyword === winner.keyword && rule.matchType === winner.matchType) {
+    return '採用ルールと同じキーワードのため、バリエーションとして抽選の対象';
+  }
+  if (rule.priority !== winner.priority) return `優先順位が低い（${rule.priority} > ${winner.priority}）`;
+  if (rule.weight !== winner.weight) return `優先順位が同じで重みが小さい（${rule.weight} < ${winner.weight}）`;
+  return '優先順位・重みが同じで、シート上で後の行';
+}
@@ -0,0 +1,113 @@
+/**
+ * 予約投稿のタイムゾーン
+ * 予約投稿シートの日付・時・分を、行ごとの「タイムゾーン」（IANA名）の現地時刻として実際の日時に変換する
+ * オフセットは Utilities.formatDate の 'Z' から求めるため、夏時間のあるタイムゾーンにも対応する
+ */
+
+// 「タイムゾーン」列の選択肢
+const SCHEDULE_TIMEZONES = [
+  'Asia/Tokyo', 'Asia/Seoul', 'Asia/Shanghai', 'Asia/Taipei', 'Asia/Hong_Kong', 'Asia/Singapore',
+  'Asia/Bangkok', 'Asia/Ho_Chi_Minh', 'Asia/Jakarta', 'Asia/Manila', 'Asia/Kolkata', 'Asia/Dubai',
+  'Europe/London', 'Europe/Paris', 'Europe/Berlin', 'Europe/Madrid', 'Europe/Rome', 'Europe/Moscow',
+  'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles', 'America/Anchorage',
+  'America/Mexico_City', 'America/Sao_Paulo', 'Pacific/Honolulu', 'Australia/Sydney', 'Australia/Perth',
+  'Pacific/Auckland', 'UTC'
+];
+
+/**
+ * 「タイムゾーン」列の選択肢（スクリプトのタイムゾーンが一覧にない場合は先頭に加える）
+ * @return {Array<string>} IANAタイムゾーン名
+ */
+function getScheduleTimeZoneOptions() {
+  const scriptTz = Session.getScriptTimeZone();
+  return SCHEDULE_TIMEZONES.includes(scriptTz) ? SCHEDULE_TIMEZONES.slice() : [scriptTz].concat(SCHEDULE_TIMEZONES);
+}
+
+/**
+ * 行の「タイムゾーン」を検証する（空欄はスクリプトのタイムゾーン）
+ * Utilities.formatDate は不明なタイムゾーンを GMT として扱うため、選択肢にない値はエラーにする
+ * @param {string} value セルの値
+ * @return {string} IANAタイムゾーン名
+ */
+function resolveScheduleTimeZone(value) {
+  const tz = String(value || '').trim();
+  if (!tz) return Session.getScriptTimeZone();
+  if (!getScheduleTimeZoneOptions().includes(tz)) throw new Error(`タイムゾーン「${tz}」は選択肢にありません`);
+  return tz;
+}
+
+/**
+ * 指定日時におけるタイムゾーンのUTCオフセット（分）
+ * @param {Date} date 日時
+ * @param {string} timeZone IANAタイムゾーン名
+ * @return {number} オフセット（分、例: Asia/Tokyo は 540）
+ */
+function getTimeZoneOffsetMinutes(date, timeZone) {
+  const z = Utilities.formatDate(date, timeZone, 'Z'); // 例: +0900
+  const sign = z.charAt(0) === '-' ? -1 : 1;
+  return sign * (parseInt(z.substr(1, 2), 10) * 60 + parseInt(z.substr(3, 2), 10));
+}
+
+/**
+ * タイムゾーンの現地時刻を日時に変換する
+ * 夏時間の開始で存在しない時刻は切り替え後（時計を進めた後）の時刻に、終了で重複する時刻は先の方にする
+ * @param {Object} local {year, month(1-12), day, hour, minute}
+ * @param {string} timeZone IANAタイムゾーン名
+ * @return {Date} 日時
+ */
+function zonedTimeToDate(local, timeZone) {
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour || 0, local.minute || 0);
+  const first = asUtc - getTimeZoneOffsetMinutes(new Date(asUtc), timeZone) * 60000;
+  const second = asUtc - getTimeZoneOffsetMinutes(new Date(first), timeZone) * 60000;
+
+  const expected = Utilities.formatDate(new Date(asUtc), 'UTC', 'yyyy-M-d-H-m');
+  const matched = [first, second].filter(ms => Utilities.formatDate(new Date(ms), timeZone, 'yyyy-M-d-H-m') === expected);
+  return new Date(matched.length > 0 ? Math.min(...matched) : Math.max(first, second));
+}
+
+/**
+ * 日時をタイムゾーンの現地時刻に分解する
+ * @param {Date} date 日時
+ * @param {string} timeZone IANAタイムゾーン名
+ * @return {Object} {year, month(1-12), day, hour, minute}
+ */
+function dateToZonedTime(date, timeZone) {
+  const [year, month, day, hour, minute] = Utilities.formatDate(date, timeZone, 'yyyy-M-d-H-m').split('-').map(Number);
+  return { year, month, day, hour, minute };
+}
+
+/**
+ * 日付セルの年月日を取得する（シートの日付はスプレッドシートのタイムゾーンの0時）
+ * @param {*} dateVal 日付セル
+ * @return {Object|null} {year, month(1-12), day}（日付でない場合は null）
+ */
+function getSheetCalendarDate(dateVal) {
+  if (!dateVal || isNaN(new Date(dateVal).getTime())) return null;
+  const { year, month, day } = dateToZonedTime(new Date(dateVal), SpreadsheetApp.getActive().getSpreadsheetTimeZone());
+  return { year, month, day };
+}
+
+/**
+ * 年月日を日付セルに書き込む値にする（スプレッドシートのタイムゾーンの0時）
+ * @param {Object} calendarDate {year, month(1-12), day}
+ * @return {Date} 日付
+ */
+function toSheetDateValue(calendarDate) {
+  return zonedTimeToDate(Object.assign({ hour: 0, minute: 0 }, calendarDate), SpreadsheetApp.getActive().getSpreadsheetTimeZone());
+}
+
+/**
+ * 予約投稿シートの日付・時・分・タイムゾーンから予約日時を作る
+ * @param {*} dateVal 日付セル
+ * @param {*} hourVal 時セル
+ * @param {*} minVal 分セル
+ * @param {string} timeZone IANAタイムゾーン名（resolveScheduleTimeZone() の結果）
+ * @return {Date|null} 予約日時（不正な場合は null）
+ */
+function getScheduledDate(dateVal, hourVal, minVal, timeZone) {
+  const calendarDate = getSheetCalendarDate(dateVal);
+  const hour = parseInt(hourVal, 10);
+  const minute = parseInt(minVal, 10);
+  if (!calendarDate || isNaN(hour) || isNaN(minute)) return null;
+  return zonedTimeToDate(Object.assign({ hour, minute }, calendarDate), timeZone);
+}
@@ -3,6 +3,45 @@
  * シートの作成、データの読み書きを管理する
  */
 
+// ルールシートの列構成
+const RULE_HEADERS = [
+  '有効', 'キーワード', '自動返信内容', 'マッチタイプ', '優先順位', '重み', 'ページ',
+  'アクション', '非公開返信内容', 'いいね', '開始日時', '終了日時', '有効曜日', '有効時間帯', '対象投稿'
+];
+
+// ログシートの列構成
+const LOG_HEADERS = [
+  '日時', '投稿ID', 'コメントID', '投稿者名', 'コメント内容',
+  'マッチキーワード', '返信内容', 'ステータス', 'エラー', 'バリエーション', 'ページ', 'チャネル', 'いいね', 'ユーザーID'
+];
+
+// NGワードシートの列構成
+const NG_WORD_HEADERS = ['有効', 'NGワード', 'マッチタイプ', 'アクション', 'ページ', 'メモ'];
+
+// 処理済みシートの列構成
+const PROCESSED_HEADERS = ['コメントID', '作成日時', '投稿ID'];
+
+// 取得した投稿シートの列構成
+const POSTS_HEADERS = ['投稿ID', 'URL', '作成日時', 'ページ', '種別'];
+
+// 予約投稿シートの列構成
+const SCHEDULED_HEADERS = [
+  '有効', '投稿本文', '日付', '時', '分', 'タイムゾーン',
+  '状態', '投稿ID', 'URL', 'エラー', 'ページ', '画像URL', 'リンクURL', 'DriveファイルID',
+  '繰り返し', '終了日', '最大回数', '投稿回数', '操作'
+];
+
+// 予約投稿履歴シートの列構成（繰り返し予約の各回・公開済みの投稿の更新/削除）
+const SCHEDULE_HISTORY_HEADERS = [
+  '日時', '予約行', '回数', '予定日時', 'ページ', '投稿本文', '投稿ID', 'URL', '状態', 'エラー', '操作', '変更前の本文'
+];
+
+// プレビューシートの列構成（ドライランの判定結果）
+const PREVIEW_HEADERS = [
+  '日時', 'ページ', '投稿ID', 'コメントID', '投稿者名', 'コメント内容',
+  '判定', 'ルール', 'キーワード', '返信内容', '非公開返信内容', 'いいね', '備考'
+];
+
 /**
  * シートを確実に作成する（破壊的）
  * @param {string} name シート名
@@ -37,9 +76,32 @@ function ensureSheetIfMissing(name, headers) {
   }
 }
 
+/**
+ * 不足しているヘッダー列を末尾に追加する（非破壊的）
+ * @param {Sheet} sh 対象シート
+ * @param {Array} headers 最新のヘッダー配列
+ */
+function appendMissingHeaders(sh, headers) {
+  const lastCol = sh.getLastColumn();
+  if (lastCol >= headers.length) return;
+  sh.getRange(1, lastCol + 1, 1, headers.length - lastCol).setValues([headers.slice(lastCol)]);
+}
+
+/**
+ * カンマ・読点・改行区切りのセル値を配列にする
+ * @param {*} value セル値
+ * @return {Array<string>} 空要素を除いた配列
+ */
+function splitListCell(value) {
+  return String(value || '').split(/[,、\n]/).map(v => v.trim()).filter(Boolean);
+}
+
 /**
  * ルールを読み込む
- * @return {Array} ルール配列 [{enabled, keyword, template, matchType, priority, weight}]
+ * 有効期間の列（開始日時・終了日時・有効曜日・有効時間帯）は parseRuleSchedule() で解釈し、判定はマッチ時に行う
+ * 「対象投稿」は投稿ID・URL・種別（post / reel）の一覧として読み込む（判定は filterRulesForPost() 参照）
+ * @return {Array} ルール配列 [{row, enabled, keyword, template, matchType, priority, weight, pages, action, privateTemplate, like,
+ *   targets, startAt, endAt, weekdays, hours, timeZone, scheduleError}]
  */
 function loadRules() {
   const sh = SpreadsheetApp.getActive().getSheetByName(SHEET.RULES);
@@ -49,15 +111,45 @@ function loadRules() {
   // 列数を確認して適切に読み込み
   const colCount = sh.getLastColumn();
   const values = sh.getRange(2, 1, last - 1, colCount).getValues();
+  const timeZone = SpreadsheetApp.getActive().getSpreadsheetTimeZone();
   
-  return values.map(([en, kw, tp, mt, pr, wt]) => ({
+  return values.map(([en, kw, tp, mt, pr, wt, pg, ac, pt, lk, st, ed, wd, hr, tg], i) => Object.assign({
+    row: i + 2,
     enabled: String(en).toLowerCase() === 'true' || String(en) === '有効',
     keyword: String(kw || '').trim(),
     template: String(tp || '').trim(),
     matchType: String(mt || '部分一致').trim(),
     priority: parseInt(pr) || 5,
-    weight: parseInt(wt) || 100
-  }));
+    weight: parseInt(wt) || 100,
+    pages: splitListCell(pg),
+    action: RULE_ACTIONS.includes(String(ac || '').trim()) ? String(ac).trim() : '公開返信',
+    privateTemplate: String(pt || '').trim(),
+    like: String(lk).trim() === 'する' || String(lk).toLowerCase() === 'true',
+    targets: splitListCell(tg)
+  }, parseRuleSchedule(st, ed, wd, hr, timeZone)));
+}
+
+/**
+ * NGワードを読み込む
+ * マッチタイプはルールと同じ（空欄は部分一致）、アクションの空欄は要確認として扱う
+ * @return {Array} NGワード配列 [{row, enabled, keyword, matchType, action, pages, note}]
+ */
+function loadNgWords() {
+  const sh = SpreadsheetApp.getActive().getSheetByName(SHEET.NG_WORDS);
+  if (!sh) return [];
+  const last = sh.getLastRow();
+  if (last < 2) return [];
+
+  const values = sh.getRange(2, 1, last - 1, NG_WORD_HEADERS.length).getValues();
+  return values.map(([en, kw, mt, ac, pg, note], i) => ({
+    row: i + 2,
+    enabled: String(en).toLowerCase() === 'true' || String(en) === '有効',
+    keyword: String(kw || '').trim(),
+    matchType: String(mt || '部分一致').trim(),
+    action: NG_ACTIONS.includes(String(ac || '').trim()) ? String(ac).trim() : '要確認',
+    pages: splitListCell(pg),
+    note: String(note || '').trim()
+  })).filter(ng => ng.enabled && ng.keyword);
 }
 
 /**
@@ -75,8 +167,8 @@ function loadProcessedIds() {
 }
 
 /**
- * ログから「返信済み」のコメントID集合を作成
- * @return {Set<string>} repliedコメントIDのSet
+ * ログから「返信済み」（いいねのみを含む）のコメントID集合を作成
+ * @return {Set<string>} replied / liked のコメントIDのSet
  */
 function loadRepliedCommentIdsSet() {
   const sh = SpreadsheetApp.getActive().getSheetByName(SHEET.LOGS);
@@ -89,7 +181,7 @@ function loadRepliedCommentIdsSet() {
   for (const row of values) {
     const commentId = String(row[2] || '').trim();
     const status = String(row[7] || '').trim();
-    if (commentId && status === 'replied') set.add(commentId);
+    if (commentId && (status === 'replied' || status === 'liked')) set.add(commentId);
   }
   return set;
 }
@@ -98,10 +190,11 @@ function loadRepliedCommentIdsSet() {
  * 処理済みコメントIDを追加する
  * @param {string} commentId コメントID
  * @param {string} createdTime 作成日時
+ * @param {string} postId 投稿ID（保持期間の整理で監視中の投稿か判定するために記録）
  */
-function appendProcessed(commentId, createdTime) {
+function appendProcessed(commentId, createdTime, postId) {
   const sh = SpreadsheetApp.getActive().getSheetByName(SHEET.PROCESSED);
-  sh.appendRow([commentId, createdTime || '']);
+  sh.appendRow([commentId, createdTime || '', postId || '']);
 }
 
 /**
@@ -114,11 +207,14 @@ function appendProcessed(commentId, createdTime) {
  * @param {string} replyText 返信内容
  * @param {string} status 処理ステータス
  * @param {string} error エラーメッセージ
+ * @param {Object} extra 追加情報（任意） {variant, pageId, channel, like, userId}
  */
-function logComment(postId, commentId, name, message, matchedKeyword, replyText, status, error) {
+function logComment(postId, commentId, name, message, matchedKeyword, replyText, status, error, extra) {
   const sh = SpreadsheetApp.getActive().getSheetByName(SHEET.LOGS);
+  const ext = extra || {};
   sh.appendRow([
-    new Date(), postId, commentId, name, message, matchedKeyword, replyText, status, error || ''
+    new Date(), postId, commentId, name, message, matchedKeyword, replyText, status, error || '',
+    ext.variant || '', ext.pageId || '', ext.channel || '', ext.like || '', ext.userId || ''
   ]);
 }
 
@@ -127,19 +223,14 @@ function logComment(postId, commentId, name, message, matchedKeyword, replyText,
  */
 function initializeSheets() {
   ensureSheet(SHEET.SETTINGS, ['キー', '値', '説明']);
-  ensureSheet(SHEET.RULES, [
-    '有効', 'キーワード', '自動返信内容', 'マッチタイプ', '優先順位', '重み'
-  ]);
-  ensureSheet(SHEET.LOGS, [
-    '日時', '投稿ID', 'コメントID', '投稿者名', 'コメント内容',
-    'マッチキーワード', '返信内容', 'ステータス', 'エラー'
-  ]);
-  ensureSheet(SHEET.PROCESSED, ['コメントID', '作成日時']);
-  ensureSheet(SHEET.POSTS, ['投稿ID', 'URL', '作成日時']);
-  ensureSheet(SHEET.SCHEDULED, [
-    '有効', '投稿本文', '日付', '時', '分', 'タイムゾーン',
-    '状態', '投稿ID', 'URL', 'エラー'
-  ]);
+  ensureSheet(SHEET.RULES, RULE_HEADERS);
+  ensureSheet(SHEET.LOGS, LOG_HEADERS);
+  ensureSheet(SHEET.PROCESSED, PROCESSED_HEADERS);
+  ensureSheet(SHEET.POSTS, POSTS_HEADERS);
+  ensureSheet(SHEET.SCHEDULED, SCHEDULED_HEADERS);
+  ensureSheet(SHEET.NG_WORDS, NG_WORD_HEADERS);
+  ensureSheet(SHEET.SCHEDULE_HISTORY, SCHEDULE_HISTORY_HEADERS);
+  ensureSheet(SHEET.PREVIEW, PREVIEW_HEADERS);
   
   // ルールを初期投入（空の場合のみ）
   seedDefaultRulesIfEmpty();
@@ -150,6 +241,9 @@ function initializeSheets() {
   // 予約投稿シートのプルダウンバリデーション設定
   setupScheduledSheetValidation();
 
+  // NGワードシートのプルダウンバリデーション設定
+  setupNgWordSheetValidation();
+
   // デザイン適用（ヘッダー/交互行/見やすさ調整）
   applyDesignStyles();
 }
@@ -171,9 +265,9 @@ function seedDefaultRulesIfEmpty() {
 
   const rows = [];
   for (let i = 1; i <= 5; i++) {
-    rows.push(['有効', '', '', defaultMatchType, i, defaultWeight]);
+    rows.push(['有効', '', '', defaultMatchType, i, defaultWeight, '', '公開返信', '', 'しない', '', '', '', '', '']);
   }
-  sh.getRange(2, 1, rows.length, 6).setValues(rows);
+  sh.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
 }
 
 /**
@@ -205,9 +299,9 @@ function setupRuleSheetValidation() {
   // マッチタイプ列（D列）のバリデーション
   const matchTypeRange = rulesSheet.getRange(2, 4, numRows, 1);
   const matchTypeRule = SpreadsheetApp.newDataValidation()
-    .requireValueInList(['完全一致', '部分一致', '前方一致', '後方一致'], true)
+    .requireValueInList(MATCH_TYPES, true)
     .setAllowInvalid(false)
-    .setHelpText('マッチタイプを選択してください')
+    .setHelpText('マッチタイプを選択してください（正規表現は大文字/小文字を区別しません）')
     .build();
   matchTypeRange.setDataValidation(matchTypeRule);
 
@@ -230,11 +324,54 @@ function setupRuleSheetValidation() {
     .build();
   weightRange.setDataValidation(weightRule);
 
+  // アクション列（H列）のバリデーション
+  const actionRange = rulesSheet.getRange(2, 8, numRows, 1);
+  const actionRule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(RULE_ACTIONS, true)
+    .setAllowInvalid(false)
+    .setHelpText('公開返信 / 非公開返信（Messenger）/ 両方 から選択してください（空欄は公開返信）')
+    .build();
+  actionRange.setDataValidation(actionRule);
+
+  // いいね列（J列）のバリデーション
+  const likeRange = rulesSheet.getRange(2, 10, numRows, 1);
+  const likeRule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(['する', 'しない'], true)
+    .setAllowInvalid(false)
+    .setHelpText('マッチしたコメントに「いいね」するか選択してください（返信内容が空なら いいねのみ）')
+    .build();
+  likeRange.setDataValidation(likeRule);
+
+  // 開始日時・終了日時（K・L列）のバリデーション
+  [[11, 'ルールを有効にする日時（空欄は制限なし）'], [12, 'ルールを無効にする日時（0:00 はその日の終わりまで。空欄は制限なし）']].forEach(([col, help]) => {
+    const range = rulesSheet.getRange(2, col, numRows, 1);
+    range.setDataValidation(SpreadsheetApp.newDataValidation().requireDate().setAllowInvalid(false).setHelpText(help).build());
+    range.setNumberFormat('yyyy/m/d h:mm');
+  });
+
+  // 有効曜日（M列）は候補以外の組み合わせも入力可。有効時間帯（N列）は自由入力（例: 9:00-18:00）
+  rulesSheet.getRange(2, 13, numRows, 1).setDataValidation(
+    SpreadsheetApp.newDataValidation().requireValueInList(RULE_WEEKDAY_EXAMPLES, true).setAllowInvalid(true)
+      .setHelpText('有効にする曜日（例: 月,水,金。空欄は毎日）').build()
+  );
+
+  // 対象投稿（O列）: 種別の候補以外に投稿ID・URLも入力可（カンマ・改行区切りで複数）
+  rulesSheet.getRange(2, 15, numRows, 1).setDataValidation(
+    SpreadsheetApp.newDataValidation().requireValueInList(POST_TYPES, true).setAllowInvalid(true)
+      .setHelpText('ルールを適用する投稿（post / reel / 投稿ID / 投稿URL。空欄は全投稿）').build()
+  );
+  try { rulesSheet.setColumnWidth(15, 260); } catch (e) {}
+  rulesSheet.getRange(2, 15, numRows, 1).setWrap(true);
+
   console.log('ルールシートのプルダウンバリデーションを設定しました（ヘッダー下1000行に適用）');
 
   // 自動返信内容（C列）を広めにし、折り返しを有効化
   try { rulesSheet.setColumnWidth(3, 500); } catch (e) {}
   rulesSheet.getRange(2, 3, numRows, 1).setWrap(true);
+
+  // 非公開返信内容（I列）も同様に折り返す
+  try { rulesSheet.setColumnWidth(9, 400); } catch (e) {}
+  rulesSheet.getRange(2, 9, numRows, 1).setWrap(true);
 }
 
 /**
@@ -274,17 +411,15 @@ function setupScheduledSheetValidation() {
     SpreadsheetApp.newDataValidation().requireValueInList(minutes, true).setAllowInvalid(false).setHelpText('5分刻み を選択').build()
   );
 
-  // タイムゾーン（Asia/Tokyo に固定）
+  // タイムゾーン（IANA名。日付・時・分はこのタイムゾーンの現地時刻。空欄の行は入力時にスクリプトのタイムゾーンを補完）
   sh.getRange(2, 6, numRows, 1).setDataValidation(
-    SpreadsheetApp.newDataValidation().requireValueInList(['Asia/Tokyo'], true).setAllowInvalid(false).build()
+    SpreadsheetApp.newDataValidation().requireValueInList(getScheduleTimeZoneOptions(), true).setAllowInvalid(false)
+      .setHelpText('日付・時・分を解釈するタイムゾーンを選択').build()
   );
-  // 既定値を1000行分セット（固定化）
-  const tzValues = Array.from({ length: numRows }, () => ['Asia/Tokyo']);
-  sh.getRange(2, 6, numRows, 1).setValues(tzValues);
 
   // 状態
   sh.getRange(2, 7, numRows, 1).setDataValidation(
-    SpreadsheetApp.newDataValidation().requireValueInList(['予約中', '送信済み', '失敗', '無効'], true).setAllowInvalid(true).build()
+    SpreadsheetApp.newDataValidation().requireValueInList(['予約中', NATIVE_SCHEDULED_STATUS, '送信済み', '更新済み', '削除済み', '失敗', '無効'], true).setAllowInvalid(true).build()
   );
 
   // 日付（カレンダー入力許可）: データバリデーション + 表示形式
@@ -296,83 +431,260 @@ function setupScheduledSheetValidation() {
   // 投稿本文列: 幅を広げて折り返し
   try { sh.setColumnWidth(2, 380); } catch (e) {}
   sh.getRange(2, 2, numRows, 1).setWrap(true);
+
+  // 画像URL・DriveファイルID列: 複数指定（改行区切り）を見やすく折り返し
+  [12, 14].forEach(col => {
+    try { sh.setColumnWidth(col, 260); } catch (e) {}
+    sh.getRange(2, col, numRows, 1).setWrap(true);
+  });
+
+  // 繰り返し（候補以外の曜日・日付の組み合わせも入力可）・終了日・最大回数
+  sh.getRange(2, 15, numRows, 1).setDataValidation(
+    SpreadsheetApp.newDataValidation().requireValueInList(RECURRENCE_EXAMPLES, true).setAllowInvalid(true)
+      .setHelpText('毎日 / 毎週:月,水,金 / 毎月:15 / 毎月:末（空欄は1回のみ）').build()
+  );
+  sh.getRange(2, 16, numRows, 1).setDataValidation(
+    SpreadsheetApp.newDataValidation().requireDate().setAllowInvalid(false).setHelpText('繰り返しの終了日（空欄は無期限）').build()
+  );
+  sh.getRange(2, 16, numRows, 1).setNumberFormat('yyyy/m/d');
+  sh.getRange(2, 17, numRows, 1).setDataValidation(
+    SpreadsheetApp.newDataValidation().requireNumberGreaterThanOrEqualTo(0).setAllowInvalid(false).setHelpText('繰り返しの最大回数（空欄・0は無制限）').build()
+  );
+
+  // 操作（送信済みの投稿を本文の内容で更新・削除）
+  sh.getRange(2, 19, numRows, 1).setDataValidation(
+    SpreadsheetApp.newDataValidation().requireValueInList(PUBLISHED_POST_ACTIONS, true).setAllowInvalid(false)
+      .setHelpText('送信済みの投稿を「本文を更新」（投稿本文の内容に変更）または「削除」').build()
+  );
 }
 
 /**
- * 予約投稿を処理する（時間到来分を投稿）
+ * NGワードシートのプルダウンバリデーションを設定する（有効・マッチタイプ・アクション）
  */
-function processScheduledPosts() {
-  const ss = SpreadsheetApp.getActive();
-  const sh = ss.getSheetByName(SHEET.SCHEDULED);
+function setupNgWordSheetValidation() {
+  const sh = SpreadsheetApp.getActive().getSheetByName(SHEET.NG_WORDS);
   if (!sh) return;
 
-  const last = sh.getLastRow();
-  if (last < 2) return { posted: 0, failed: 0 };
+  // ヘッダー行(1行目) + データ行1000
+  const requiredTotalRows = 1001;
+  const currentMaxRows = sh.getMaxRows();
+  if (currentMaxRows < requiredTotalRows) {
+    sh.insertRowsAfter(currentMaxRows, requiredTotalRows - currentMaxRows);
+  }
+  const numRows = requiredTotalRows - 1;
 
-  let token = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ACCESS_TOKEN);
-  if (!token) throw new Error("ページアクセストークンが未設定です");
+  sh.getRange(2, 1, numRows, 1).setDataValidation(
+    SpreadsheetApp.newDataValidation().requireValueInList(['有効', '無効'], true).setAllowInvalid(false).setHelpText('有効/無効を選択').build()
+  );
+  sh.getRange(2, 3, numRows, 1).setDataValidation(
+    SpreadsheetApp.newDataValidation().requireValueInList(MATCH_TYPES, true).setAllowInvalid(false).setHelpText('マッチタイプを選択（空欄は部分一致）').build()
+  );
+  sh.getRange(2, 4, numRows, 1).setDataValidation(
+    SpreadsheetApp.newDataValidation().requireValueInList(NG_ACTIONS, true).setAllowInvalid(false)
+      .setHelpText('削除 / 非表示 / 要確認（返信せずログに記録）を選択').build()
+  );
+}
 
-  // トークンの有効性をチェックし、必要に応じて更新
+/**
+ * 予約投稿を処理する（時間到来分を投稿）
+ * 「ページ」列で投稿先を指定（空欄は主ページ）。画像URL・DriveファイルIDは改行またはカンマ区切りで複数指定でき、
+ * 複数枚の場合は1つの投稿にまとめる。トークンの確認・更新はページごとに行い、
+ * あるページのトークンエラーは他ページの投稿に影響させない
+ * 「予約投稿の方式」が Facebook予約 の場合は予約中の行を Facebook の予約投稿として登録し、登録済みの行を同期する
+ * （登録済みの行は方式をスクリプトに戻しても同期を続け、二重投稿しない）
+ * 「繰り返し」を指定した行は投稿のたびに予約投稿履歴へ記録し、次回の日付に進めて予約中のまま残す
+ * 「操作」を指定した送信済みの行は、公開済みの投稿の本文を更新または削除する
+ * @return {Object} {posted, failed, scheduled, edited, busy} スクリプトが投稿した件数・失敗件数・Facebook に登録/更新した件数・更新/削除した件数
+ *   （別の予約投稿の処理が実行中でスキップした場合は busy: true）
+ */
+function processScheduledPosts() {
+  // 手動実行とトリガーが重なって同じ行を二重に投稿・登録しないよう排他する（シートは取得後に読む）
+  // 自動返信・Webhook・ログ整理のスクリプトロックとは別のドキュメントロックを使い、自動返信の実行中も予約投稿を遅らせない
+  const lock = LockService.getDocumentLock();
   try {
-    if (!isTokenValid(token)) {
-      console.log("トークンが無効または期限切れのため、自動更新を試行します...");
-      const refreshSuccess = refreshToken();
-      if (refreshSuccess) {
-        token = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ACCESS_TOKEN);
-        console.log("トークンが正常に更新されました");
-      } else {
-        throw new Error("トークンの自動更新に失敗しました。手動でトークンを更新してください。");
-      }
+    if (!lock.tryLock(30 * 1000)) {
+      console.warn('別の予約投稿の処理が実行中のため、今回の処理をスキップしました');
+      return { posted: 0, failed: 0, scheduled: 0, edited: 0, busy: true };
     }
-  } catch (error) {
-    console.error("トークン有効性チェックでエラー:", error);
-    throw new Error(`トークンの有効性確認に失敗しました: ${error.message}`);
-  }
-  const now = new Date();
-  const rows = sh.getRange(2, 1, last - 1, 10).getValues();
-  let posted = 0;
-  let failed = 0;
-
-  for (let i = 0; i < rows.length; i++) {
-    const [enabled, body, dateVal, hourVal, minVal, tz, status, postId, url, err] = rows[i];
 
-    if (String(enabled) !== '有効') continue;
-    if (String(status) !== '予約中') continue;
-    if (!body) continue;
-    if (!dateVal || isNaN(new Date(dateVal).getTime())) continue;
-
-    const hour = parseInt(hourVal, 10);
-    const minute = parseInt(minVal, 10);
-    if (isNaN(hour) || isNaN(minute)) continue;
+    const ss = SpreadsheetApp.getActive();
+    const sh = ss.getSheetByName(SHEET.SCHEDULED);
+    if (!sh) return;
 
-    // 予約日時（スクリプトのタイムゾーン前提）
-    const scheduled = new Date(dateVal);
-    scheduled.setHours(hour, minute, 0, 0);
+    const last = sh.getLastRow();
+    const nativeState = loadNativeSchedules();
+    if (last < 2 && Object.keys(nativeState).length === 0) return { posted: 0, failed: 0, scheduled: 0, edited: 0 };
+
+    const pages = getEnabledPages();
+    if (pages.length === 0) throw new Error("ページアクセストークンが未設定です");
+
+    const useNative = isNativeScheduleEnabled(getSettings());
+    const now = new Date();
+    const rows = last < 2 ? [] : sh.getRange(2, 1, last - 1, SCHEDULED_HEADERS.length).getValues();
+    const tokens = {}; // ページID -> トークン（取得失敗時はError）
+    const trackedNativeIds = Object.keys(nativeState);
+    const seenNativeIds = new Set();
+    let posted = 0;
+    let failed = 0;
+    let scheduledCount = 0;
+    let edited = 0;
+
+    // ページごとにトークンを確認（失敗した場合は予約中のまま次回再試行）
+    const getToken = pageId => {
+      if (!(pageId in tokens)) {
+        try {
+          tokens[pageId] = ensureValidPageToken(pageId);
+        } catch (e) {
+          tokens[pageId] = e;
+          const page = pages.find(p => String(p.id) === String(pageId));
+          reportError(ERROR_CATEGORIES.SCHEDULED, page ? page.name : pageId, e);
+        }
+      }
+      return tokens[pageId];
+    };
+
+    for (let i = 0; i < rows.length; i++) {
+      const [
+        enabled, body, dateVal, hourVal, minVal, tz, status, postId, url, err, pageRef,
+        imageUrls, link, driveFileIds, recurrenceText, endDateVal, maxCountVal, countVal, actionVal
+      ] = rows[i];
+      const media = {
+        imageUrls: splitListCell(imageUrls),
+        link: String(link || '').trim(),
+        driveFileIds: splitListCell(driveFileIds)
+      };
+      const nativeId = String(postId || '').trim();
+      const linked = !!(nativeId && nativeState[nativeId]);
+      if (linked) seenNativeIds.add(nativeId);
+
+      // 公開済みの投稿の操作（本文を更新・削除）
+      const action = String(actionVal || '').trim();
+      if (action && !linked) {
+        const done = applyPublishedPostAction(sh, 2 + i, {
+          action, status: String(status), postId: nativeId, url: String(url || ''), body: String(body || ''), pageRef
+        }, pages, getToken);
+        if (done) edited++; else failed++;
+        continue;
+      }
 
-    if (now.getTime() >= scheduled.getTime()) {
+      // タイムゾーン・繰り返しの指定（不正な行は状態を変えずにエラーを表示）
+      let timeZone;
+      let recurrence = null;
       try {
-        const result = createPagePost(String(body), token);
-        // 書き戻し
-        sh.getRange(2 + i, 7, 1, 4).setValues([[
-          '送信済み',
-          result.postId || '',
-          result.permalink || '',
-          ''
-        ]]);
-        posted++;
+        timeZone = resolveScheduleTimeZone(tz);
+        recurrence = parseRecurrence(recurrenceText);
       } catch (e) {
-        sh.getRange(2 + i, 7, 1, 4).setValues([[
-          '失敗',
-          '',
-          '',
-          String(e && e.message ? e.message : e)
-        ]]);
-        failed++;
+        if (String(enabled) === '有効' && (String(status) === '予約中' || linked)) sh.getRange(2 + i, 10).setValue(e.message);
+        continue;
+      }
+      const scheduled = getScheduledDate(dateVal, hourVal, minVal, timeZone);
+      const occurrence = recurrence && {
+        recurrence, scheduled, timeZone, body,
+        endDate: getSheetCalendarDate(endDateVal),
+        maxCount: parseInt(maxCountVal, 10) || 0,
+        count: parseInt(countVal, 10) || 0
+      };
+
+      // Facebook に登録済みの行は同期のみ
+      if (linked) {
+        try {
+          const page = resolvePage(pageRef, pages);
+          const result = syncNativeScheduleRow(sh, 2 + i, {
+            postId: nativeId, enabled: String(enabled), status: String(status), page, body, scheduled, media
+          }, getToken, nativeState);
+          if (result.action === 'updated' || result.action === 'rescheduled') scheduledCount++;
+          if (result.action === 'published' && occurrence) {
+            completeRecurringOccurrence(sh, 2 + i, Object.assign(occurrence, { page, postId: nativeId, permalink: result.permalink }), now);
+          }
+        } catch (e) {
+          if (e && e.code === 100) delete nativeState[nativeId]; // Facebook 側で削除済み
+          sh.getRange(2 + i, 7, 1, 4).setValues([[
+            e && e.code === 100 ? '失敗' : status, e && e.code === 100 ? '' : nativeId, '', String(e && e.message ? e.message : e)
+          ]]);
+          reportError(ERROR_CATEGORIES.SCHEDULED, `Facebook予約の同期 / 行${2 + i}`, e);
+          failed++;
+        }
+        saveNativeSchedules(nativeState); // 途中で停止しても登録済みの投稿を追跡できるよう都度保存
+        continue;
+      }
+
+      if (String(enabled) !== '有効') continue;
+      if (String(status) !== '予約中') continue;
+      if (!body && media.imageUrls.length === 0 && media.driveFileIds.length === 0) continue;
+      if (!scheduled) continue;
+
+      const nativeTarget = useNative && canScheduleNatively(scheduled, now);
+      if (nativeTarget || now.getTime() >= scheduled.getTime()) {
+        const page = resolvePage(pageRef, pages);
+        if (!page) {
+          const message = `ページ「${pageRef}」は運用中のページにありません`;
+          sh.getRange(2 + i, 7, 1, 4).setValues([[
+            '失敗',
+            '',
+            '',
+            message
+          ]]);
+          reportError(ERROR_CATEGORIES.SCHEDULED, `行${2 + i}`, message);
+          failed++;
+          continue;
+        }
+
+        const token = getToken(page.id);
+        if (token instanceof Error) {
+          sh.getRange(2 + i, 10).setValue(`[${page.name}] ${token.message}`);
+          failed++;
+          continue;
+        }
+
+        try {
+          if (nativeTarget) {
+            // Facebook の予約投稿として登録（公開は Facebook が予約日時に行う）
+            pushNativeSchedule(sh, 2 + i, page, token, body, buildNativeScheduleEntry(page, body, scheduled, media), media, nativeState);
+            saveNativeSchedules(nativeState);
+            scheduledCount++;
+            continue;
+          }
+          const result = createPagePost(String(body || ''), token, media);
+          if (occurrence) {
+            completeRecurringOccurrence(sh, 2 + i, Object.assign(occurrence, { page, postId: result.postId, permalink: result.permalink }), now);
+            posted++;
+            continue;
+          }
+          // 書き戻し
+          sh.getRange(2 + i, 7, 1, 4).setValues([[
+            '送信済み',
+            result.postId || '',
+            result.permalink || '',
+            ''
+          ]]);
+          posted++;
+        } catch (e) {
+          const message = String(e && e.message ? e.message : e);
+          if (occurrence && !nativeTarget) {
+            // 繰り返しは失敗した回を履歴に残して次回へ進める
+            completeRecurringOccurrence(sh, 2 + i, Object.assign(occurrence, { page, error: message }), now);
+          } else {
+            sh.getRange(2 + i, 7, 1, 4).setValues([[
+              '失敗',
+              '',
+              '',
+              message
+            ]]);
+          }
+          reportError(ERROR_CATEGORIES.SCHEDULED, `${page.name} / 行${2 + i}`, e);
+          failed++;
+        }
       }
-      Utilities.sleep(300);
     }
+
+    // シートから行が削除された予約投稿を取り消す
+    cancelOrphanNativeSchedules(nativeState, trackedNativeIds.filter(id => !seenNativeIds.has(id)), getToken);
+    saveNativeSchedules(nativeState);
+    return { posted, failed, scheduled: scheduledCount, edited };
+  } finally {
+    if (lock.hasLock()) lock.releaseLock();
+    flushErrorNotifications();
   }
-  return { posted, failed };
 }
 
 /**
@@ -388,6 +700,19 @@ function ensureMinutesTrigger(handlerName, minutes) {
   }
 }
 
+/**
+ * 指定ハンドラーの日次トリガーを作成（存在しない場合のみ）
+ * @param {string} handlerName
+ * @param {number} hour 実行する時刻（0-23時）
+ */
+function ensureDailyTrigger(handlerName, hour) {
+  const triggers = ScriptApp.getProjectTriggers();
+  const exists = triggers.some(t => t.getHandlerFunction && t.getHandlerFunction() === handlerName);
+  if (!exists) {
+    ScriptApp.newTrigger(handlerName).timeBased().everyDays(1).atHour(hour).create();
+  }
+}
+
 /**
  * 予約投稿の時間主導トリガーを作成（5分毎）
  */
@@ -402,6 +727,13 @@ function setupAutoReplyTrigger() {
   ensureMinutesTrigger('fetchAndRespond', 30);
 }
 
+/**
+ * ログ整理（保持期間の適用）の日次トリガーを作成（毎日3時台）
+ */
+function setupRetentionTrigger() {
+  ensureDailyTrigger('applyLogRetention', 3);
+}
+
 
 /**
  * シートをアップデートする（非破壊的）
@@ -414,13 +746,11 @@ function applySheetStructureUpdates() {
     legacyPosts.setName(SHEET.POSTS);
   }
 
-  ensureSheetIfMissing(SHEET.POSTS, ['投稿ID', 'URL', '作成日時']);
+  ensureSheetIfMissing(SHEET.POSTS, POSTS_HEADERS);
+  appendMissingHeaders(ss.getSheetByName(SHEET.POSTS), POSTS_HEADERS);
 
   // 予約投稿シートを追加/更新（非破壊）
-  ensureSheetIfMissing(SHEET.SCHEDULED, [
-    '有効', '投稿本文', '日付', '時', '分', 'タイムゾーン',
-    '状態', '投稿ID', 'URL', 'エラー'
-  ]);
+  ensureSheetIfMissing(SHEET.SCHEDULED, SCHEDULED_HEADERS);
 
   // 古い「作成日時」列があれば削除し、ヘッダーを最新化
   const scheduledSheet = ss.getSheetByName(SHEET.SCHEDULED);
@@ -430,15 +760,22 @@ function applySheetStructureUpdates() {
     if (oldIndex >= 0) {
       scheduledSheet.deleteColumn(oldIndex + 1);
     }
-    const schedHeaders = ['有効', '投稿本文', '日付', '時', '分', 'タイムゾーン', '状態', '投稿ID', 'URL', 'エラー'];
-    scheduledSheet.getRange(1, 1, 1, schedHeaders.length).setValues([schedHeaders]);
+    scheduledSheet.getRange(1, 1, 1, SCHEDULED_HEADERS.length).setValues([SCHEDULED_HEADERS]);
   }
 
+  // ログシートに不足列を追加
+  const logsSheet = ss.getSheetByName(SHEET.LOGS);
+  if (logsSheet) appendMissingHeaders(logsSheet, LOG_HEADERS);
+
+  // 処理済みシートに不足列（投稿ID）を追加
+  const processedSheet = ss.getSheetByName(SHEET.PROCESSED);
+  if (processedSheet) appendMissingHeaders(processedSheet, PROCESSED_HEADERS);
+
   // 既存のルールシートをアップデート
   const rulesSheet = ss.getSheetByName(SHEET.RULES);
   if (rulesSheet) {
     // ヘッダーを更新（名称変更含む）
-    const newHeaders = ['有効', 'キーワード', '自動返信内容', 'マッチタイプ', '優先順位', '重み'];
+    const newHeaders = RULE_HEADERS;
     rulesSheet.getRange(1, 1, 1, newHeaders.length).setValues([newHeaders]);
 
     // 既存列が不足している場合は追加
@@ -456,6 +793,17 @@ function applySheetStructureUpdates() {
   // 予約投稿シートのバリデーションを再適用
   setupScheduledSheetValidation();
 
+  // NGワードシートを追加（非破壊）
+  ensureSheetIfMissing(SHEET.NG_WORDS, NG_WORD_HEADERS);
+
+  // 予約投稿履歴シートを追加（非破壊）
+  ensureSheetIfMissing(SHEET.SCHEDULE_HISTORY, SCHEDULE_HISTORY_HEADERS);
+  appendMissingHeaders(ss.getSheetByName(SHEET.SCHEDULE_HISTORY), SCHEDULE_HISTORY_HEADERS);
+
+  // プレビューシートを追加（非破壊）
+  ensureSheetIfMissing(SHEET.PREVIEW, PREVIEW_HEADERS);
+  setupNgWordSheetValidation();
+
   // デザイン適用（ヘッダー/交互行/見やすさ調整）
   applyDesignStyles();
 }
@@ -478,7 +826,8 @@ function applyDesignStyles() {
     SHEET.LOGS,
     SHEET.PROCESSED,
     SHEET.POSTS,
-    SHEET.SCHEDULED
+    SHEET.SCHEDULED,
+    SHEET.NG_WORDS
   ];
 
   targetSheets.forEach(name => {
@@ -529,7 +878,10 @@ function applyDesignStyles() {
     const rules = [];
     const cf = SpreadsheetApp.newConditionalFormatRule;
     rules.push(cf().whenTextContains('予約中').setBackground('#FEF3C7').setFontColor('#92400E').setRanges([statusRange]).build());
+    rules.push(cf().whenTextContains(NATIVE_SCHEDULED_STATUS).setBackground('#DBEAFE').setFontColor('#1E40AF').setRanges([statusRange]).build());
     rules.push(cf().whenTextContains('送信済み').setBackground('#DCFCE7').setFontColor('#065F46').setRanges([statusRange]).build());
+    rules.push(cf().whenTextContains('更新済み').setBackground('#E0E7FF').setFontColor('#3730A3').setRanges([statusRange]).build());
+    rules.push(cf().whenTextContains('削除済み').setBackground('#F3F4F6').setFontColor('#6B7280').setRanges([statusRange]).build());
     rules.push(cf().whenTextContains('失敗').setBackground('#FEE2E2').setFontColor('#991B1B').setRanges([statusRange]).build());
     rules.push(cf().whenTextContains('無効').setBackground('#F3F4F6').setFontColor('#374151').setRanges([statusRange]).build());
 
@@ -4,14 +4,17 @@
  * 短期アクセストークンは使用しない
  */
 
-// Facebook Graph API エンドポイント
+// Facebook Graph API エンドポイント（バージョン付きのベースURLは graphRequest() が付与）
 const FB_TOKEN_ENDPOINTS = {
-  EXCHANGE_TOKEN: 'https://graph.facebook.com/v23.0/oauth/access_token',
-  GET_PAGE_TOKEN: 'https://graph.facebook.com/v23.0/me/accounts',
-  REFRESH_TOKEN: 'https://graph.facebook.com/v23.0/oauth/access_token',
-  DEBUG_TOKEN: 'https://graph.facebook.com/v23.0/debug_token'
+  EXCHANGE_TOKEN: '/oauth/access_token',
+  GET_PAGE_TOKEN: '/me/accounts',
+  REFRESH_TOKEN: '/oauth/access_token',
+  DEBUG_TOKEN: '/debug_token'
 };
 
+// 自動返信・予約投稿に必要な権限スコープ
+const FB_REQUIRED_SCOPES = ['pages_show_list', 'pages_read_engagement', 'pages_manage_engagement', 'pages_manage_posts'];
+
 /**
  * /debug_token エンドポイントを使用してトークン情報を取得する
  * @param {string} inputToken 確認したいアクセストークン
@@ -23,30 +26,23 @@ function getTokenInfoFromDebugToken(inputToken, accessToken = null) {
     // アクセストークンが指定されていない場合は、入力トークン自体を使用
     const debugAccessToken = accessToken || inputToken;
     
-    const url = `${FB_TOKEN_ENDPOINTS.DEBUG_TOKEN}` +
-      `?input_token=${encodeURIComponent(inputToken)}` +
-      `&access_token=${encodeURIComponent(debugAccessToken)}`;
-
-    console.log('デバッグトークンURL:', url.replace(debugAccessToken, '***TOKEN***'));
-
-    const response = UrlFetchApp.fetch(url, { method: 'get', muteHttpExceptions: true });
-    const code = response.getResponseCode();
-    const responseText = response.getContentText();
-    
-    console.log(`デバッグトークンレスポンス: ${code}`);
-    console.log('レスポンス内容:', responseText);
-    
-    if (code < 200 || code >= 300) {
-      if (code === 400) {
+    let result;
+    try {
+      result = graphRequest('get', FB_TOKEN_ENDPOINTS.DEBUG_TOKEN, { input_token: inputToken }, {
+        token: debugAccessToken,
+        label: 'GET debug_token',
+        autoRefresh: false
+      });
+    } catch (e) {
+      if (e.httpCode === 400) {
         throw new Error('トークンが無効です。正しいアクセストークンを入力してください。');
-      } else if (code === 401) {
+      } else if (e.httpCode === 401) {
         throw new Error('トークンの認証に失敗しました。トークンが期限切れまたは権限が不足しています。');
       } else {
-        throw new Error(`トークン情報の取得に失敗しました: ${code} ${responseText}`);
+        throw new Error(`トークン情報の取得に失敗しました: ${e.message}`);
       }
     }
 
-    const result = JSON.parse(responseText);
     if (!result.data) {
       throw new Error('トークン情報の解析に失敗しました');
     }
@@ -116,24 +112,23 @@ function getTokenInfoFromToken(token, appId = null, appSecret = null) {
     // フォールバックとして旧エンドポイントを試行
     try {
       console.log('フォールバック: /oauth/access_token_info を使用');
-      const url = `${FB.BASE}/oauth/access_token_info?access_token=${encodeURIComponent(token)}`;
-      const response = UrlFetchApp.fetch(url, { method: 'get', muteHttpExceptions: true });
-      const code = response.getResponseCode();
-      
-      if (code >= 200 && code < 300) {
-        const data = JSON.parse(response.getContentText());
-        return {
-          appId: data.app_id,
-          type: data.type || 'USER',
-          isValid: true,
-          expiresAt: 0, // 旧エンドポイントでは詳細な期限情報は取得できない
-          expiresIn: data.expires_in || 0,
-          expires_in: data.expires_in || 0,
-          app_id: data.app_id,
-          scopes: [],
-          isLongLived: (data.expires_in || 0) > 24 * 60 * 60
-        };
-      }
+      const data = graphRequest('get', '/oauth/access_token_info', {}, {
+        token,
+        label: 'GET access_token_info',
+        autoRefresh: false,
+        maxRetries: 1
+      });
+      return {
+        appId: data.app_id,
+        type: data.type || 'USER',
+        isValid: true,
+        expiresAt: 0, // 旧エンドポイントでは詳細な期限情報は取得できない
+        expiresIn: data.expires_in || 0,
+        expires_in: data.expires_in || 0,
+        app_id: data.app_id,
+        scopes: [],
+        isLongLived: (data.expires_in || 0) > 24 * 60 * 60
+      };
     } catch (fallbackError) {
       console.error('フォールバックも失敗:', fallbackError);
     }
@@ -243,17 +238,17 @@ function getDetailedTokenInfo(token = null) {
  * @return {Object} ページ情報とトークン
  */
 function getPageTokens(userToken) {
-  const url = `${FB_TOKEN_ENDPOINTS.GET_PAGE_TOKEN}` +
-    `?access_token=${encodeURIComponent(userToken)}`;
-
-  const response = UrlFetchApp.fetch(url, { method: 'get', muteHttpExceptions: true });
-  const code = response.getResponseCode();
-  
-  if (code < 200 || code >= 300) {
-    throw new Error(`ページトークン取得に失敗しました: ${code} ${response.getContentText()}`);
+  let data;
+  try {
+    data = graphRequest('get', FB_TOKEN_ENDPOINTS.GET_PAGE_TOKEN, {}, {
+      token: userToken,
+      label: 'GET /me/accounts',
+      autoRefresh: false
+    });
+  } catch (e) {
+    throw new Error(`ページトークン取得に失敗しました: ${e.message}`);
   }
 
-  const data = JSON.parse(response.getContentText());
   if (!data.data || !Array.isArray(data.data)) {
     throw new Error('ページ情報の取得に失敗しました');
   }
@@ -261,6 +256,195 @@ function getPageTokens(userToken) {
   return data.data;
 }
 
+/**
+ * ページ一覧から指定IDのページを選ぶ
+ * 配列の並び順には依存せず、ID未指定で複数ページを管理している場合はエラーとする
+ * @param {Array} pages getPageTokens() の結果
+ * @param {string} pageId ページID
+ * @return {Object} ページ {id, name, access_token}
+ */
+function selectPageById(pages, pageId) {
+  if (pageId) {
+    const page = pages.find(p => String(p.id) === String(pageId));
+    if (!page) {
+      throw new Error(`選択済みのページ（ID: ${pageId}）が管理ページに見つかりません。「トークン設定」でページを選び直してください。`);
+    }
+    return page;
+  }
+  if (pages.length === 1) return pages[0];
+  throw new Error('複数のページを管理しています。「トークン設定」で操作するページを選択してください。');
+}
+
+/**
+ * ページごとのトークン保存領域を読み込む
+ * 旧形式（FB_PAGE_ACCESS_TOKEN の単一ページ）しかない場合はそのページ1件として扱う
+ * @return {Object} {ページID: {id, name, token}}（挿入順＝運用ページの並び）
+ */
+function loadPageTokenStore() {
+  const props = PropertiesService.getScriptProperties();
+  const raw = props.getProperty(PROP_KEYS.PAGE_TOKENS);
+  if (raw) {
+    try {
+      return JSON.parse(raw) || {};
+    } catch (e) {
+      console.error('ページトークンの読み込みに失敗しました:', e && e.message ? e.message : e);
+      return {};
+    }
+  }
+
+  const legacyToken = props.getProperty(PROP_KEYS.PAGE_ACCESS_TOKEN);
+  const legacyId = props.getProperty(PROP_KEYS.PAGE_ID);
+  if (legacyToken && legacyId) {
+    return { [legacyId]: { id: legacyId, name: props.getProperty(PROP_KEYS.PAGE_NAME) || '', token: legacyToken } };
+  }
+  return {};
+}
+
+/**
+ * ページごとのトークン保存領域を保存する
+ * 主ページ（FB_PAGE_ID）が含まれなければ先頭のページを主ページにする
+ * @param {Object} store {ページID: {id, name, token}}
+ */
+function savePageTokenStore(store) {
+  const props = PropertiesService.getScriptProperties();
+  const ids = Object.keys(store);
+  props.setProperty(PROP_KEYS.PAGE_TOKENS, JSON.stringify(store));
+  props.deleteProperty(PROP_KEYS.PAGE_ACCESS_TOKEN); // 旧形式の単一トークンは使用しない
+
+  if (ids.length > 0) {
+    const primaryId = store[props.getProperty(PROP_KEYS.PAGE_ID)] ? props.getProperty(PROP_KEYS.PAGE_ID) : ids[0];
+    props.setProperties({
+      [PROP_KEYS.PAGE_ID]: primaryId,
+      [PROP_KEYS.PAGE_NAME]: store[primaryId].name || ''
+    });
+  }
+}
+
+/**
+ * 運用中のページ一覧を取得する（主ページが先頭）
+ * @return {Array} [{id, name, token, isPrimary}]
+ */
+function getEnabledPages() {
+  const store = loadPageTokenStore();
+  const primaryId = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ID);
+  const pages = Object.keys(store).map(id => store[id]).filter(p => p && p.token);
+  return pages
+    .sort((a, b) => (b.id === primaryId) - (a.id === primaryId))
+    .map((p, i) => Object.assign({}, p, { isPrimary: i === 0 }));
+}
+
+/**
+ * シートの「ページ」列の値から運用中のページを特定する（空欄は主ページ）
+ * @param {string} ref ページIDまたはページ名
+ * @param {Array} pages getEnabledPages() の結果
+ * @return {Object|null} ページ
+ */
+function resolvePage(ref, pages) {
+  if (!String(ref || '').trim()) return pages.length > 0 ? pages[0] : null;
+  return pages.find(p => matchesPageRef(ref, p)) || null;
+}
+
+/**
+ * ページIDまたはページ名がページを指しているか
+ * @param {string} ref ページIDまたはページ名
+ * @param {Object} page ページ {id, name}
+ * @return {boolean}
+ */
+function matchesPageRef(ref, page) {
+  const value = String(ref || '').trim();
+  if (!value || !page) return false;
+  return value === String(page.id) || normalizeForMatch(value) === normalizeForMatch(page.name);
+}
+
+/**
+ * ページIDのページトークンを取得する
+ * @param {string} pageId ページID
+ * @return {string|null} ページトークン
+ */
+function getPageToken(pageId) {
+  const page = loadPageTokenStore()[String(pageId)];
+  return page && page.token ? page.token : null;
+}
+
+/**
+ * ページトークンからページIDを逆引きする
+ * @param {string} token ページトークン
+ * @return {string|null} ページID
+ */
+function findPageIdByToken(token) {
+  const store = loadPageTokenStore();
+  const id = Object.keys(store).find(k => store[k] && store[k].token === token);
+  return id || null;
+}
+
+/**
+ * ページのトークンの有効性を確認し、必要に応じて更新した上で返す
+ * @param {string} pageId ページID
+ * @return {string} 有効なページトークン
+ */
+function ensureValidPageToken(pageId) {
+  const token = getPageToken(pageId);
+  if (!token) throw new Error(`ページ（ID: ${pageId}）のアクセストークンが未設定です。メニューから「トークン管理」→「トークン設定」を実行してください。`);
+
+  try {
+    if (isTokenValid(token)) return token;
+
+    console.log(`ページ（ID: ${pageId}）のトークンが無効または期限切れのため、自動更新を試行します...`);
+    if (!refreshToken()) {
+      throw new Error("トークンの自動更新に失敗しました。手動でトークンを更新してください。");
+    }
+    const newToken = getPageToken(pageId);
+    if (!newToken) throw new Error('更新後のページトークンが見つかりません。');
+    console.log("トークンが正常に更新されました");
+    return newToken;
+  } catch (error) {
+    console.error("トークン有効性チェックでエラー:", error);
+    throw new Error(`トークンの有効性確認に失敗しました: ${error.message}`);
+  }
+}
+
+/**
+ * 取得したページ一覧で、保存済みの各ページのトークンをIDで更新する
+ * 管理ページから外れたページは警告のみとし、他のページの更新は続行する
+ * @param {Array} pages getPageTokens() の結果
+ * @return {Array} 更新できたページ [{id, name, token}]
+ */
+function refreshStoredPageTokens(pages) {
+  const store = loadPageTokenStore();
+  let ids = Object.keys(store);
+  if (ids.length === 0) {
+    ids = [String(selectPageById(pages, PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ID)).id)];
+  }
+
+  const updated = [];
+  ids.forEach(id => {
+    const page = pages.find(p => String(p.id) === String(id));
+    if (!page) {
+      console.warn(`ページ（ID: ${id}）が管理ページに見つからないため、トークンを更新できませんでした`);
+      return;
+    }
+    store[id] = { id: String(page.id), name: page.name || '', token: page.access_token };
+    updated.push(store[id]);
+  });
+
+  if (updated.length === 0) {
+    throw new Error('選択済みのページが管理ページに見つかりません。「トークン設定」でページを選び直してください。');
+  }
+  savePageTokenStore(store);
+  return updated;
+}
+
+/**
+ * 設定シートのページ関連項目を更新する
+ * @param {Array} pages [{id, name, token}]（先頭が主ページ）
+ */
+function updatePageSettingsSheet(pages) {
+  if (!pages || pages.length === 0) return;
+  upsertSetting('ページID', pages.map(p => p.id).join(', '), SETTING_DESCRIPTIONS['ページID']);
+  upsertSetting('ページ名', pages.map(p => p.name).join(', '), SETTING_DESCRIPTIONS['ページ名']);
+  upsertSetting('ページトークン', pages[0].token || '', SETTING_DESCRIPTIONS['ページトークン']);
+}
+
 /**
  * トークンを更新する（改良版）
  * @return {boolean} 更新が成功したかどうか
@@ -288,8 +472,9 @@ function refreshToken() {
         throw new Error('管理可能なページが見つかりません');
       }
       
-      const page = pages[0];
+      // 保存済みの各ページをIDで選び直してトークンを更新
       console.log('既存のトークンを使用してページ情報を更新します');
+      const updatedPages = refreshStoredPageTokens(pages);
       
       // 詳細トークン情報を取得して有効期限を正しく計算
       let expiresAtMs = null;
@@ -305,17 +490,12 @@ function refreshToken() {
       }
 
       PropertiesService.getScriptProperties().setProperties({
-        [PROP_KEYS.PAGE_ACCESS_TOKEN]: page.access_token,
-        [PROP_KEYS.PAGE_ID]: page.id,
-        [PROP_KEYS.PAGE_NAME]: page.name,
         [PROP_KEYS.TOKEN_EXPIRES_AT]: expiresAtMs ? String(expiresAtMs) : (PropertiesService.getScriptProperties().getProperty(PROP_KEYS.TOKEN_EXPIRES_AT) || '')
       });
       
       // 設定シートを更新
       try {
-        if (page && page.id) upsertSetting('ページID', page.id, 'FacebookページID（自動設定）');
-        if (page && page.name) upsertSetting('ページ名', page.name, 'Facebookページ名（自動設定）');
-        upsertSetting('ページトークン', page.access_token || '', 'Facebookページアクセストークン（自動設定）');
+        updatePageSettingsSheet(updatedPages);
         if (expiresAtMs) upsertSetting('トークン有効期限', new Date(expiresAtMs).toLocaleString('ja-JP'), 'トークンの有効期限（自動設定）');
         upsertSetting('最終更新日時', new Date().toLocaleString('ja-JP'), '最後にトークンを更新した日時（自動設定）');
       } catch (e) {
@@ -334,8 +514,8 @@ function refreshToken() {
       throw new Error('管理可能なページが見つかりません');
     }
 
-    // 最初のページを使用（複数ページの場合は選択機能を追加可能）
-    const page = pages[0];
+    // 保存済みの各ページをIDで選び直してトークンを更新
+    const updatedPages = refreshStoredPageTokens(pages);
     
     // /debug_token から正しい有効期限を取得（data_access_expires_at 優先）
     let expiresAtMs = null;
@@ -356,18 +536,13 @@ function refreshToken() {
     // プロパティを更新
     PropertiesService.getScriptProperties().setProperties({
       [PROP_KEYS.USER_ACCESS_TOKEN]: tokenInfo.accessToken,
-      [PROP_KEYS.PAGE_ACCESS_TOKEN]: page.access_token,
-      [PROP_KEYS.PAGE_ID]: page.id,
-      [PROP_KEYS.PAGE_NAME]: page.name,
       [PROP_KEYS.TOKEN_EXPIRES_AT]: expiresAtMs ? String(expiresAtMs) : ''
     });
 
     // 設定シートを更新
     try {
       upsertSetting('長期トークン', tokenInfo.accessToken || '', 'Facebook長期アクセストークン（自動設定）');
-      upsertSetting('ページトークン', page.access_token || '', 'Facebookページアクセストークン（自動設定）');
-      if (page && page.id) upsertSetting('ページID', page.id, 'FacebookページID（自動設定）');
-      if (page && page.name) upsertSetting('ページ名', page.name, 'Facebookページ名（自動設定）');
+      updatePageSettingsSheet(updatedPages);
       if (expiresAtMs) upsertSetting('トークン有効期限', new Date(expiresAtMs).toLocaleString('ja-JP'), 'トークンの有効期限（自動設定）');
       upsertSetting('最終更新日時', new Date().toLocaleString('ja-JP'), '最後にトークンを更新した日時（自動設定）');
     } catch (e) {
@@ -378,6 +553,7 @@ function refreshToken() {
     return true;
   } catch (error) {
     console.error('トークン更新エラー:', error);
+    reportError(ERROR_CATEGORIES.TOKEN, 'トークン自動更新', error);
     return false;
   }
 }
@@ -397,9 +573,10 @@ function saveAppSettings(appId, appSecret) {
 /**
  * 手動入力でトークン設定を行う（長期トークン・改良版）
  * @param {string} longLivedToken 長期ユーザートークン
+ * @param {Array<string>|string} pageIds 運用するページIDの配列（先頭が主ページ。管理ページが1つの場合は省略可）
  * @return {Object} 設定結果
  */
-function setupTokensFromLongToken(longLivedToken) {
+function setupTokensFromLongToken(longLivedToken, pageIds) {
   try {
     if (!longLivedToken) {
       throw new Error('長期ユーザートークンが未入力です。');
@@ -415,9 +592,10 @@ function setupTokensFromLongToken(longLivedToken) {
       throw new Error('管理可能なページが見つかりません。ページの管理者権限があることを確認してください。');
     }
 
-    // 最初のページを使用
-    const page = pages[0];
-    console.log('選択されたページ:', page);
+    // 選択されたページを使用（1ページのみ管理している場合は省略可）
+    const ids = (Array.isArray(pageIds) ? pageIds : [pageIds]).filter(Boolean);
+    const selectedPages = ids.length > 0 ? ids.map(id => selectPageById(pages, id)) : [selectPageById(pages, '')];
+    console.log('選択されたページ:', selectedPages.map(p => `${p.name}（${p.id}）`).join(', '));
 
     // 有効期限を計算（改良版）
     let expiresIn = tokenInfo.expiresIn;
@@ -442,11 +620,16 @@ function setupTokensFromLongToken(longLivedToken) {
     console.log(`保存する有効期限: ${expiresAt.toLocaleString('ja-JP')}`);
 
     // すべてのトークン情報を保存
+    // 主ページ（先頭）を切り替えてからページごとのトークンを保存
+    PropertiesService.getScriptProperties().setProperty(PROP_KEYS.PAGE_ID, String(selectedPages[0].id));
+    const store = {};
+    selectedPages.forEach(p => {
+      store[String(p.id)] = { id: String(p.id), name: p.name || '', token: p.access_token };
+    });
+    savePageTokenStore(store);
+
     PropertiesService.getScriptProperties().setProperties({
       [PROP_KEYS.USER_ACCESS_TOKEN]: longLivedToken,
-      [PROP_KEYS.PAGE_ACCESS_TOKEN]: page.access_token,
-      [PROP_KEYS.PAGE_ID]: page.id,
-      [PROP_KEYS.PAGE_NAME]: page.name,
       [PROP_KEYS.TOKEN_EXPIRES_AT]: expiresAtMs.toString(),
       [PROP_KEYS.APP_ID]: tokenInfo.appId || '',
       [PROP_KEYS.APP_SECRET]: '' // シークレットは保存されない
@@ -456,9 +639,10 @@ function setupTokensFromLongToken(longLivedToken) {
 
     return {
       success: true,
-      pageName: page.name,
-      pageId: page.id,
-      pageAccessToken: page.access_token,
+      pageName: selectedPages.map(p => p.name).join('、'),
+      pageId: selectedPages.map(p => p.id).join(', '),
+      pages: Object.keys(store).map(id => store[id]),
+      pageAccessToken: selectedPages[0].access_token,
       accessToken: longLivedToken,
       expiresAt,
       tokenType,
@@ -482,34 +666,26 @@ function setupTokensFromLongToken(longLivedToken) {
  * @return {Object} 長期トークン情報
  */
 function exchangeToLongLivedTokenWithCredentials(userToken, appId, appSecret) {
-  const url = `${FB_TOKEN_ENDPOINTS.EXCHANGE_TOKEN}` +
-    `?grant_type=fb_exchange_token` +
-    `&client_id=${encodeURIComponent(appId)}` +
-    `&client_secret=${encodeURIComponent(appSecret)}` +
-    `&fb_exchange_token=${encodeURIComponent(userToken)}`;
-
-  console.log('長期トークン交換URL:', url.replace(appSecret, '***SECRET***'));
-  
-  const response = UrlFetchApp.fetch(url, { method: 'get', muteHttpExceptions: true });
-  const code = response.getResponseCode();
-  const responseText = response.getContentText();
-  
-  console.log(`長期トークン交換レスポンス: ${code}`);
-  console.log('レスポンス内容:', responseText);
-  
-  if (code < 200 || code >= 300) {
-    console.error(`長期トークン交換エラー: ${code} ${responseText}`);
-    
-    if (code === 400) {
+  let data;
+  try {
+    data = graphRequest('get', FB_TOKEN_ENDPOINTS.EXCHANGE_TOKEN, {
+      grant_type: 'fb_exchange_token',
+      client_id: appId,
+      client_secret: appSecret,
+      fb_exchange_token: userToken
+    }, { label: 'GET oauth/access_token', autoRefresh: false });
+  } catch (e) {
+    console.error(`長期トークン交換エラー: ${e.message}`);
+
+    if (e.httpCode === 400) {
       throw new Error('アプリIDまたはアプリシークレットが正しくありません。');
-    } else if (code === 401) {
+    } else if (e.httpCode === 401) {
       throw new Error('ユーザートークンが無効または期限切れです。');
     } else {
-      throw new Error(`長期トークン交換に失敗しました: ${code} ${responseText}`);
+      throw new Error(`長期トークン交換に失敗しました: ${e.message}`);
     }
   }
 
-  const data = JSON.parse(responseText);
   if (!data.access_token) {
     throw new Error('長期トークンの取得に失敗しました');
   }
@@ -547,6 +723,7 @@ function getTokenInfo() {
   return {
     pageName: props.getProperty(PROP_KEYS.PAGE_NAME) || '未設定',
     pageId: props.getProperty(PROP_KEYS.PAGE_ID) || '未設定',
+    pages: getEnabledPages().map(p => ({ id: p.id, name: p.name })),
     expiresAt: expiresAt ? new Date(parseInt(expiresAt, 10)) : null,
     isValid: isTokenValid(),
     detailedInfo: detailedInfo
@@ -577,7 +754,50 @@ function checkAndRefreshToken() {
     } else {
       console.log('トークンは有効です');
     }
+
+    checkRequiredScopes();
   } catch (error) {
     console.error('トークン更新チェックでエラー:', error);
+    reportError(ERROR_CATEGORIES.TOKEN, 'トークン更新チェック', error);
+  } finally {
+    flushErrorNotifications();
+  }
+}
+
+/**
+ * 保存済みユーザートークンに必要な権限スコープが付与されているか確認する
+ * 不足している場合はエラー通知のキューに追加する
+ * @return {Array<string>} 不足しているスコープ
+ */
+function checkRequiredScopes() {
+  const userToken = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.USER_ACCESS_TOKEN);
+  if (!userToken) return [];
+
+  const info = getTokenInfoFromToken(userToken);
+  // スコープが取得できない（旧エンドポイントのフォールバック）場合は判定しない
+  if (!info.scopes || info.scopes.length === 0) return [];
+
+  const missing = FB_REQUIRED_SCOPES.filter(scope => !info.scopes.includes(scope));
+  if (missing.length > 0) {
+    console.warn('不足している権限スコープ:', missing.join(', '));
+    reportError(ERROR_CATEGORIES.SCOPE, 'ユーザートークン', `必要な権限が付与されていません: ${missing.join(', ')}`);
   }
-}
\ No newline at end of file
+  return missing;
+}
+
+/**
+ * 前回の確認から1日以上経っている場合のみ checkRequiredScopes() を実行する（自動返信の定期実行から呼ぶ）
+ * 確認に失敗しても自動返信は止めない
+ */
+function checkRequiredScopesDaily() {
+  const props = PropertiesService.getScriptProperties();
+  const checkedAt = parseInt(props.getProperty(PROP_KEYS.SCOPE_CHECKED_AT) || '0', 10);
+  if (Date.now() - checkedAt < 24 * 60 * 60 * 1000) return;
+  props.setProperty(PROP_KEYS.SCOPE_CHECKED_AT, String(Date.now()));
+
+  try {
+    checkRequiredScopes();
+  } catch (e) {
+    console.warn('権限スコープの確認に失敗しました:', e && e.message ? e.message : e);
+  }
+}
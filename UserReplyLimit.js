@@ -0,0 +1,78 @@
+/**
+ * ユーザー単位の返信制限
+ * コメント投稿者（from.id）ごとに、同一投稿での返信回数・投稿をまたいだ返信間隔・1日の返信回数を制限する
+ * 返信履歴はログシート（ステータス replied / liked かつユーザーIDあり）から作成する
+ */
+
+/**
+ * 設定とログから返信制限の状態を作成する（1回の実行につき1つ作成し、処理コンテキストで共有）
+ * @param {Map} settings 設定Map
+ * @return {Object} {perPost, cooldownMs, perDay, timeZone, history: Map<ユーザーID, Array<{postId, at}>>}
+ */
+function loadUserReplyLimits(settings) {
+  const toLimit = key => Math.max(0, parseInt(settings.get(key) || '0', 10) || 0);
+  const limits = {
+    perPost: toLimit('ユーザー返信上限（投稿ごと）'),
+    cooldownMs: toLimit('ユーザー返信間隔（分）') * 60 * 1000,
+    perDay: toLimit('ユーザー返信上限（1日）'),
+    timeZone: SpreadsheetApp.getActive().getSpreadsheetTimeZone(),
+    history: new Map()
+  };
+  if (!limits.perPost && !limits.cooldownMs && !limits.perDay) return limits;
+
+  const sh = SpreadsheetApp.getActive().getSheetByName(SHEET.LOGS);
+  if (!sh || sh.getLastRow() < 2) return limits;
+  const userIdCol = LOG_HEADERS.indexOf('ユーザーID');
+  sh.getRange(2, 1, sh.getLastRow() - 1, LOG_HEADERS.length).getValues().forEach(row => {
+    const status = String(row[7] || '').trim();
+    const userId = String(row[userIdCol] || '').trim();
+    const at = parseSheetDate(row[0]);
+    if (!userId || isNaN(at) || (status !== 'replied' && status !== 'liked')) return;
+    recordUserReply(limits, userId, String(row[1] || '').trim(), at);
+  });
+  return limits;
+}
+
+/**
+ * コメント投稿者への返信が制限に該当するか判定する
+ * 投稿者IDが取得できないコメント（権限により from が返らない場合など）は制限しない
+ * @param {Object|null} limits loadUserReplyLimits() の結果（null なら制限なし）
+ * @param {Object} comment コメント {id, from{id,name}}
+ * @param {string} postId 投稿ID
+ * @return {string} 該当した制限の説明（制限なしは空文字）
+ */
+function checkUserReplyLimit(limits, comment, postId) {
+  const userId = getCommentUserId(comment);
+  if (!limits || !userId) return '';
+  const entries = limits.history.get(userId) || [];
+  if (entries.length === 0) return '';
+
+  if (limits.perPost > 0) {
+    const count = entries.filter(e => e.postId === String(postId)).length;
+    if (count >= limits.perPost) return `同一投稿への返信上限（${limits.perPost}回）に達しています`;
+  }
+  if (limits.cooldownMs > 0) {
+    const lastAt = Math.max(...entries.map(e => e.at));
+    const waitMs = lastAt + limits.cooldownMs - Date.now();
+    if (waitMs > 0) return `返信間隔（${limits.cooldownMs / 60000}分）内のため（あと${Math.ceil(waitMs / 60000)}分）`;
+  }
+  if (limits.perDay > 0) {
+    const today = Utilities.formatDate(new Date(), limits.timeZone, 'yyyy-MM-dd');
+    const count = entries.filter(e => Utilities.formatDate(new Date(e.at), limits.timeZone, 'yyyy-MM-dd') === today).length;
+    if (count >= limits.perDay) return `1日の返信上限（${limits.perDay}回）に達しています`;
+  }
+  return '';
+}
+
+/**
+ * 返信履歴に追加する（同じ実行内の後続コメントに制限を反映するため）
+ * @param {Object|null} limits loadUserReplyLimits() の結果
+ * @param {string} userId コメント投稿者ID
+ * @param {string} postId 投稿ID
+ * @param {number} at 返信日時（ミリ秒、省略時は現在）
+ */
+function recordUserReply(limits, userId, postId, at) {
+  if (!limits || !userId) return;
+  if (!limits.history.has(userId)) limits.history.set(userId, []);
+  limits.history.get(userId).push({ postId: String(postId || ''), at: at || Date.now() });
+}
@@ -0,0 +1,216 @@
+/**
+ * Webhook（ウェブアプリ）
+ * Facebook ページの feed Webhook を受け取り、新規コメントに即時返信する
+ * ポーリング（fetchAndRespond の30分トリガー）は取りこぼし時のフォールバックとして併用する
+ *
+ * 署名検証について:
+ *  Apps Script のウェブアプリは doPost でリクエストヘッダーを参照できないため、
+ *  X-Hub-Signature-256 ヘッダーの値をクエリパラメータ signature としてURLに付けて転送する中継
+ *  （Cloud Functions 等）を経由させる。中継を使えない場合のみ「Webhook署名検証」を false にする
+ *  false の場合は通知の内容を信用せず、コメントIDで Graph API からコメントを取り直して処理する（偽の通知への対策）
+ */
+
+// Webhook の処理でロック取得を待つ最大時間（ポーリング実行中はフォールバックに任せる）
+const WEBHOOK_LOCK_WAIT_MS = 10 * 1000;
+
+/**
+ * Webhook 購読時の検証リクエスト（hub.challenge）に応答する
+ * @param {Object} e GET イベント
+ * @return {TextOutput} hub.challenge の値（検証失敗時は forbidden）
+ */
+function doGet(e) {
+  const params = (e && e.parameter) || {};
+  const verifyToken = String(getSettings().get('Webhook検証トークン') || '').trim();
+
+  if (params['hub.mode'] === 'subscribe' && verifyToken && params['hub.verify_token'] === verifyToken) {
+    console.log('Webhook の購読を検証しました');
+    return ContentService.createTextOutput(String(params['hub.challenge'] || ''));
+  }
+  console.warn('Webhook の検証に失敗しました（検証トークン不一致）');
+  return ContentService.createTextOutput('forbidden');
+}
+
+/**
+ * feed の変更通知を受け取り、新規コメントをルールに従って処理する
+ * @param {Object} e POST イベント
+ * @return {TextOutput} 受信結果
+ */
+function doPost(e) {
+  try {
+    const body = e && e.postData ? e.postData.contents : '';
+    const settings = getSettings();
+
+    const signatureChecked = isWebhookSignatureCheckEnabled(settings);
+    if (signatureChecked && !verifyWebhookSignature(body, (e.parameter || {}).signature, settings)) {
+      console.warn('Webhook の署名検証に失敗したため破棄しました');
+      return ContentService.createTextOutput('invalid signature');
+    }
+
+    const events = extractCommentEvents(JSON.parse(body || '{}'));
+    if (events.length === 0) return ContentService.createTextOutput('EVENT_RECEIVED');
+
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(WEBHOOK_LOCK_WAIT_MS)) {
+      console.log('他の処理が実行中のため、Webhook のコメントはポーリングで処理します');
+      return ContentService.createTextOutput('EVENT_RECEIVED');
+    }
+    try {
+      processWebhookComments(events, settings, !signatureChecked);
+    } finally {
+      lock.releaseLock();
+    }
+    return ContentService.createTextOutput('EVENT_RECEIVED');
+  } catch (error) {
+    console.error('Webhook 処理でエラー:', error);
+    reportError(ERROR_CATEGORIES.AUTO_REPLY, 'Webhook', error);
+    return ContentService.createTextOutput('EVENT_RECEIVED');
+  } finally {
+    flushErrorNotifications();
+  }
+}
+
+/**
+ * 設定「Webhook署名検証」が有効か（未設定は有効）
+ * @param {Map} settings 設定Map
+ * @return {boolean}
+ */
+function isWebhookSignatureCheckEnabled(settings) {
+  return String(settings.get('Webhook署名検証') || 'true').toLowerCase() !== 'false';
+}
+
+/**
+ * X-Hub-Signature-256（sha256=16進HMAC）をアプリシークレットで検証する
+ * @param {string} body リクエストボディ（生の文字列）
+ * @param {string} signature 中継から転送された署名
+ * @param {Map} settings 設定Map
+ * @return {boolean} 検証に成功したか
+ */
+function verifyWebhookSignature(body, signature, settings) {
+  const appSecret = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.APP_SECRET) ||
+    String(settings.get('アプリシークレット') || '').trim();
+  if (!appSecret) {
+    console.warn('アプリシークレットが未設定のため Webhook の署名を検証できません');
+    return false;
+  }
+
+  const received = String(signature || '').replace(/^sha256=/, '').toLowerCase();
+  if (!received) return false;
+
+  const expected = Utilities.computeHmacSha256Signature(body, appSecret)
+    .map(b => ('0' + (b & 0xff).toString(16)).slice(-2))
+    .join('');
+
+  // 全文字を比較してから判定する（応答時間から一致位置を推測されないため）
+  if (expected.length !== received.length) return false;
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) {
+    diff |= expected.charCodeAt(i) ^ received.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Webhook のペイロードから新規コメントのイベントを取り出す
+ * @param {Object} payload Webhook のJSON
+ * @return {Array} [{pageId, postId, comment: {id, message, from, parent, created_time, viaWebhook}}]
+ */
+function extractCommentEvents(payload) {
+  if (!payload || payload.object !== 'page') return [];
+
+  const events = [];
+  (payload.entry || []).forEach(entry => {
+    (entry.changes || []).forEach(change => {
+      const value = change.value || {};
+      if (change.field !== 'feed' || value.item !== 'comment' || value.verb !== 'add') return;
+      if (!value.comment_id || !value.post_id) return;
+      events.push({
+        pageId: String(entry.id),
+        postId: String(value.post_id),
+        comment: {
+          id: String(value.comment_id),
+          message: value.message || '',
+          from: value.from || {},
+          // トップレベルのコメントは parent_id が投稿ID
+          parent: value.parent_id && value.parent_id !== value.post_id ? { id: String(value.parent_id) } : null,
+          created_time: value.created_time ? new Date(Number(value.created_time) * 1000).toISOString() : '',
+          viaWebhook: true // message_tags を含まないため、メンションは本文のページ名で判定する（isInCommentScope参照）
+        }
+      });
+    });
+  });
+  return events;
+}
+
+/**
+ * Webhook で受け取ったコメントを processComments() と同じルール・重複排除で処理する
+ * 手動で投稿IDを指定しているページは、その投稿のコメントだけを対象にする
+ * 署名を検証していない通知は、コメントIDで Graph API から取得した内容（本文・投稿者・親コメント）だけで判定する
+ * @param {Array} events extractCommentEvents() の結果
+ * @param {Map} settings 設定Map
+ * @param {boolean} refetch true の場合、通知のコメント内容を使わず Graph API から取り直す
+ */
+function processWebhookComments(events, settings, refetch) {
+  const pages = getEnabledPages();
+  const rules = loadRules();
+  const ngWords = loadNgWords();
+  const processedSet = loadProcessedIds();
+  const userLimits = loadUserReplyLimits(settings);
+  const commentScope = getCommentScope(settings);
+  const dryRun = isDryRunEnabled(settings);
+
+  events.forEach(event => {
+    const page = pages.find(p => String(p.id) === event.pageId);
+    if (!page) {
+      console.log(`運用中でないページの通知のためスキップします: ${event.pageId}`);
+      return;
+    }
+    const manualPostIds = getManualPostIdsForPage(settings, page);
+    if (manualPostIds.length > 0 && !manualPostIds.includes(event.postId)) return;
+
+    let comment = event.comment;
+    if (refetch) {
+      try {
+        comment = fetchComment(event.comment.id, page.token);
+      } catch (e) {
+        // 存在しない・ページのトークンで読めないコメントは偽の通知として破棄する
+        console.warn(`Webhook のコメントを取得できないため破棄しました: ${event.comment.id}`, e && e.message ? e.message : e);
+        return;
+      }
+    }
+
+    const ctx = {
+      page, token: page.token, processedSet, userLimits, commentScope, dryRun,
+      rules: filterRulesForPage(rules, page),
+      ngWords: filterRulesForPage(ngWords, page)
+    };
+    const status = handleComment(event.postId, comment, ctx);
+    console.log(`Webhook コメント処理: ${event.comment.id} → ${status}`);
+  });
+}
+
+/**
+ * Webhook の設定情報（コールバックURL・検証トークン）を表示する
+ * 検証トークンが未設定の場合は生成して設定シートに保存する
+ */
+function showWebhookSetupInfo() {
+  const ui = SpreadsheetApp.getUi();
+  const settings = getSettings();
+  let verifyToken = String(settings.get('Webhook検証トークン') || '').trim();
+  if (!verifyToken) {
+    verifyToken = Utilities.getUuid();
+    upsertSetting('Webhook検証トークン', verifyToken, SETTING_DESCRIPTIONS['Webhook検証トークン']);
+  }
+
+  const url = ScriptApp.getService().getUrl();
+  const signatureCheck = isWebhookSignatureCheckEnabled(settings);
+  ui.alert(
+    'Webhook 設定情報\n\n' +
+    `コールバックURL: ${url || '未デプロイ（「デプロイ」→「ウェブアプリ」で公開してください）'}\n` +
+    `検証トークン: ${verifyToken}\n` +
+    `署名検証: ${signatureCheck ? '有効' : '無効'}\n\n` +
+    'Meta for Developers のアプリで Page の Webhook を「feed」フィールドで購読してください。\n' +
+    (signatureCheck
+      ? 'Apps Script はリクエストヘッダーを読めないため、X-Hub-Signature-256 の値を ?signature= としてURLに付けて転送する中継を経由させてください。'
+      : '⚠️ 署名検証が無効です。偽の通知に備え、通知されたコメントは Graph API から取得し直して処理します（コメントごとに API 呼び出しが1回増えます）。')
+  );
+}
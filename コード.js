@@ -2,10 +2,10 @@
  * Facebook コメント自動返信（MVP + 自動投稿検出版）
  * 目的:
  *  - ページの長期有効アクセストークンから直近の投稿を自動検出
- *  - コメントを取得→キーワード（部分一致）で判定→返信→ログ記録
+ *  - コメントを取得→キーワード（マッチタイプ・優先順位・重み）で判定→返信→ログ記録
  * 必要権限:
- *  - Facebook Graph API: pages_read_engagement, pages_manage_posts
- *  - GAS: UrlFetchApp, SpreadsheetApp, PropertiesService, HtmlService
+ *  - Facebook Graph API: pages_read_engagement, pages_manage_posts（非公開返信を使う場合は pages_messaging）
+ *  - GAS: UrlFetchApp, SpreadsheetApp, PropertiesService, HtmlService, MailApp（エラー通知）, ContentService（Webhook）, DriveApp（予約投稿の画像）
  */
 
 // ========== メニュー ==========
@@ -21,17 +21,18 @@ function ensureAutomationTriggers() {
   try {
     setupScheduledPostsTrigger();
     setupAutoReplyTrigger();
+    setupRetentionTrigger();
   } catch (error) {
     console.error('トリガー設定エラー:', error);
   }
 }
 
 /**
- * 予約投稿・自動返信トリガーを全て削除
+ * 予約投稿・自動返信・ログ整理トリガーを全て削除
  */
 function resetAutomationTriggers() {
   try {
-    const targetHandlers = new Set(['processScheduledPosts', 'fetchAndRespond']);
+    const targetHandlers = new Set(['processScheduledPosts', 'fetchAndRespond', 'applyLogRetention']);
     const triggers = ScriptApp.getProjectTriggers();
     triggers.forEach(trigger => {
       const handler = trigger.getHandlerFunction && trigger.getHandlerFunction();
@@ -66,6 +67,12 @@ function createMenu() {
       .addItem('未返信に一括返信（直近12時間）', 'runAutoReplyForLast12hUnreplied')
       .addItem('シートを最新の状態に更新', 'updateSheetsToLatest')
       .addItem('取得した投稿を更新', 'updatePostsSheetManually')
+      .addItem('ログを整理（保持期間を適用）', 'runLogRetentionNow')
+      .addItem('Graph API バージョンを確認', 'showApiVersionStatus')
+      .addItem('Webhook 設定情報', 'showWebhookSetupInfo')
+      .addItem('ルールのテンプレートを検証', 'validateRuleTemplates')
+      .addItem('ルールテスター', 'showRuleTester')
+      .addItem('ドライラン（返信せずプレビュー）', 'runDryRun')
       .addSeparator()
       .addItem('⚠️ 全てのシートを再構成', 'rebuildAllSheets')
       .addToUi();
@@ -73,6 +80,14 @@ function createMenu() {
     ui.createMenu('クイックセットアップ')
       .addItem('アカウント確認とトリガー初期化', 'runQuickSetup')
     .addToUi();
+
+    // Graph API バージョンの提供終了が近い場合は警告メニューを表示
+    const versionStatus = checkGraphApiVersion();
+    if (versionStatus.level === 'warning' || versionStatus.level === 'expired') {
+      ui.createMenu(`⚠️ API ${versionStatus.version} ${versionStatus.level === 'expired' ? '提供終了' : '提供終了間近'}`)
+        .addItem(versionStatus.message, 'showApiVersionStatus')
+        .addToUi();
+    }
   } catch (error) {
     console.error('メニュー作成エラー:', error);
   }
@@ -89,8 +104,8 @@ function runQuickSetup() {
     resetAutomationTriggers();
     ensureAutomationTriggers();
 
-    const pageName = tokenInfo.pageName || '未設定';
-    const pageId = tokenInfo.pageId || '未設定';
+    const pageName = tokenInfo.pages.length > 0 ? tokenInfo.pages.map(p => p.name).join(', ') : '未設定';
+    const pageId = tokenInfo.pages.length > 0 ? tokenInfo.pages.map(p => p.id).join(', ') : '未設定';
     const expiresAt = tokenInfo.expiresAt ? tokenInfo.expiresAt.toLocaleString('ja-JP') : '不明';
     const status = tokenInfo.isValid ? '有効' : '無効または期限切れ';
 
@@ -120,7 +135,7 @@ function runQuickSetup() {
       '• トークン有効期限\n' +
       '• ページ名\n' +
       '• 最終更新日時\n\n' +
-      '予約投稿トリガー（5分間隔）と自動返信トリガー（30分間隔）を再作成しました。'
+      '予約投稿トリガー（5分間隔）・自動返信トリガー（30分間隔）・ログ整理トリガー（毎日）を再作成しました。'
     );
   } catch (error) {
     ui.alert(`❌ クイックセットアップでエラーが発生しました: ${error && error.message ? error.message : error}`);
@@ -135,11 +150,12 @@ function runAutoReplyForLast12hUnreplied() {
   try {
     const result = replyUnrepliedCommentsLast12h();
     ui.alert(
-      '✅ 未返信への一括返信が完了しました。\n' +
+      (result.dryRun ? `✅ ドライランが完了しました（返信は送信せず「${SHEET.PREVIEW}」シートに記録しました）。\n` : '✅ 未返信への一括返信が完了しました。\n') +
       `対象コメント: ${result.total} 件\n` +
-      `返信: ${result.replied} 件\n` +
+      `${result.dryRun ? '返信予定' : '返信'}: ${result.replied} 件\n` +
       `失敗: ${result.failed} 件\n` +
-      `無視（条件不一致など）: ${result.skipped} 件`
+      `無視（条件不一致など）: ${result.skipped} 件` +
+      (result.errors.length > 0 ? `\n\n⚠️ 処理できなかったページ:\n${result.errors.join('\n')}` : '')
     );
   } catch (e) {
     ui.alert(`❌ エラー: ${e && e.message ? e.message : e}`);
@@ -148,75 +164,93 @@ function runAutoReplyForLast12hUnreplied() {
 
 /**
  * 直近12時間の未返信コメントを検出し、ルールに基づいて返信
- * @return {{total:number,replied:number,failed:number,skipped:number}}
+ * 設定「ドライラン」が true の場合は送信せず、返信するはずのコメントをプレビューシートに記録する
+ * ページごとのエラーは他のページの処理を止めず、結果の errors にまとめる
+ * @return {{total:number,replied:number,failed:number,skipped:number,dryRun:boolean,errors:Array<string>}}
  */
 function replyUnrepliedCommentsLast12h() {
-  let token = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ACCESS_TOKEN);
-  if (!token) throw new Error("アクセストークンが未設定です。");
-
-  // トークンの有効性をチェックし、必要に応じて更新
   try {
-    if (!isTokenValid(token)) {
-      console.log("トークンが無効または期限切れのため、自動更新を試行します...");
-      const refreshSuccess = refreshToken();
-      if (refreshSuccess) {
-        token = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ACCESS_TOKEN);
-        console.log("トークンが正常に更新されました");
-      } else {
-        throw new Error("トークンの自動更新に失敗しました。手動でトークンを更新してください。");
-      }
-    }
-  } catch (error) {
-    console.error("トークン有効性チェックでエラー:", error);
-    throw new Error(`トークンの有効性確認に失敗しました: ${error.message}`);
-  }
-
-  const settings = getSettings();
-  const postIds = getTargetPostIds(token, settings);
-  if (postIds.length === 0) throw new Error("対象投稿がありません。");
-  const repliedSet = loadRepliedCommentIdsSet();
-  const sinceMs = Date.now() - (12 * 60 * 60 * 1000);
-
-  let total = 0;
-  let replied = 0;
-  let failed = 0;
-  let skipped = 0;
-
-  for (const postId of postIds) {
-    const comments = fetchCommentsSince(postId, token, sinceMs, 500) || [];
-    for (const c of comments) {
-      const commentId = String(c.id || '').trim();
-      if (!commentId) { skipped++; continue; }
-
-      // 二重送信防止（ログでreplied済み）
-      if (repliedSet.has(commentId)) { skipped++; continue; }
+    const pages = getEnabledPages();
+    if (pages.length === 0) throw new Error("アクセストークンが未設定です。");
 
-      // 念のため時刻再チェック
-      const created = c.created_time ? new Date(c.created_time).getTime() : 0;
-      if (!created || created < sinceMs) { skipped++; continue; }
-
-      total++;
-      const message = String(c.message || '');
-      const name = c.from && c.from.name ? c.from.name : '';
-
-      const rule = findMatchingRule(message, rules);
-      if (!rule) { skipped++; continue; }
-
-      const replyText = generateReply(rule.template, name);
+    const settings = getSettings();
+    const rules = loadRules();
+    const ngWords = loadNgWords();
+    const pagingOptions = getCommentPagingOptions(settings);
+    const repliedSet = loadRepliedCommentIdsSet();
+    const processedSet = loadProcessedIds();
+    const userLimits = loadUserReplyLimits(settings);
+    const commentScope = getCommentScope(settings);
+    const dryRun = isDryRunEnabled(settings);
+    const sinceMs = Date.now() - (12 * 60 * 60 * 1000);
+
+    let total = 0;
+    let replied = 0;
+    let failed = 0;
+    let skipped = 0;
+    let targetCount = 0;
+    const errors = [];
+
+    for (const page of pages) {
       try {
-        postReply(commentId, replyText, token);
-        appendProcessed(commentId, c.created_time || '');
-        logComment(postId, commentId, name, message, rule.keyword, replyText, 'replied', '');
-        replied++;
-        Utilities.sleep(300);
-      } catch (err) {
-        logComment(postId, commentId, name, message, rule.keyword, replyText, 'error', String(err && err.message ? err.message : err));
-        failed++;
+        const token = ensureValidPageToken(page.id);
+        const postIds = getTargetPostIds(token, settings, page);
+        targetCount += postIds.length;
+        const pageRules = filterRulesForPage(rules, page);
+        const pageNgWords = filterRulesForPage(ngWords, page);
+
+        for (const postId of postIds) {
+          const postRules = filterRulesForPost(pageRules, postId);
+          const comments = fetchCommentsSince(postId, token, sinceMs, 500, pagingOptions) || [];
+          for (const c of comments) {
+            const commentId = String(c.id || '').trim();
+            if (!commentId) { skipped++; continue; }
+
+            // 二重送信防止（ログでreplied済み）
+            if (repliedSet.has(commentId)) { skipped++; continue; }
+
+            // ページ自身のコメント（自動返信を含む）には反応しない
+            if (isOwnPageComment(c, page)) { skipped++; continue; }
+
+            // 念のため時刻再チェック
+            const created = c.created_time ? new Date(c.created_time).getTime() : 0;
+            if (!created || created < sinceMs) { skipped++; continue; }
+
+            total++;
+            const message = String(c.message || '');
+
+            // NGワードに該当するコメントには返信しない（未対応ならモデレーションを実行）
+            const ngWord = findNgWord(message, pageNgWords);
+            if (ngWord) {
+              if (!processedSet.has(commentId)) moderateComment(postId, c, ngWord, { page, token, dryRun });
+              skipped++;
+              continue;
+            }
+
+            if (!isInCommentScope(c, page, commentScope)) { skipped++; continue; }
+            const rule = findMatchingRule(message, postRules);
+            if (!rule) { skipped++; continue; }
+
+            // ルールのアクション（公開/非公開返信）に従って送信・記録（ユーザー単位の返信制限に該当した場合はスキップ）
+            const status = deliverReply(postId, c, rule, { page, token, userLimits, processedSet, dryRun });
+            if (status === 'error') failed++;
+            else if (status === 'user_limited') skipped++;
+            else replied++;
+          }
+        }
+      } catch (e) {
+        // 1ページの失敗（トークン失効など）で他のページを止めない
+        console.error(`ページ ${page.name} (${page.id}) の処理でエラー:`, e);
+        errors.push(`${page.name}: ${e && e.message ? e.message : e}`);
+        reportError(ERROR_CATEGORIES.AUTO_REPLY, page.name, e);
       }
     }
-  }
+    if (targetCount === 0) throw new Error(errors.length > 0 ? errors.join('\n') : "対象投稿がありません。");
 
-  return { total, replied, failed, skipped };
+    return { total, replied, failed, skipped, dryRun, errors };
+  } finally {
+    flushErrorNotifications();
+  }
 }
 
 // ========== 初期化 ==========
@@ -243,43 +277,75 @@ function initSheets() {
 
 
 // ========== メイン: 取得→判定→返信 ==========
-// ========== メイン: 取得→判定→返信 ==========
-function fetchAndRespond() {
-  let token = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ACCESS_TOKEN);
-  if (!token) throw new Error("アクセストークンが未設定です。メニューから「トークン管理」→「トークン設定」を実行してください。");
-
-  // トークンの有効性をチェックし、必要に応じて更新
+/**
+ * 運用中の全ページについて、対象投稿のコメントを取得して返信する
+ * 1ページの失敗で他のページを止めないよう、エラーはページごとに集約して最後に投げる
+ * 設定「ドライラン」が true または options.dryRun の場合は送信せずプレビューシートに記録する（runDryRun参照）
+ * @param {Object} options 任意 {dryRun}（トリガーから呼ばれた場合はイベントオブジェクト）
+ */
+function fetchAndRespond(options) {
+  // Webhook と同じコメントを二重に処理しないよう排他する（処理済みIDはロック取得後に読む）
+  const lock = LockService.getScriptLock();
   try {
-    if (!isTokenValid(token)) {
-      console.log("トークンが無効または期限切れのため、自動更新を試行します...");
-      const refreshSuccess = refreshToken();
-      if (refreshSuccess) {
-        token = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ACCESS_TOKEN);
-        console.log("トークンが正常に更新されました");
-      } else {
-        throw new Error("トークンの自動更新に失敗しました。手動でトークンを更新してください。");
-      }
-    }
-  } catch (error) {
-    console.error("トークン有効性チェックでエラー:", error);
-    throw new Error(`トークンの有効性確認に失敗しました: ${error.message}`);
-  }
+    if (!lock.tryLock(30 * 1000)) throw new Error('他の処理（Webhook等）が実行中のため、今回の自動返信をスキップしました。');
 
-  const settings = getSettings();
-  const fetchLimit = Math.min(500, parseInt(settings.get("取得件数") || "500", 10));
+    const pages = getEnabledPages();
+    if (pages.length === 0) {
+      const error = new Error("アクセストークンが未設定です。メニューから「トークン管理」→「トークン設定」を実行してください。");
+      reportError(ERROR_CATEGORIES.AUTO_REPLY, '', error);
+      throw error;
+    }
 
-  // 対象投稿IDを取得
-  const postIds = getTargetPostIds(token, settings);
-  if (postIds.length === 0) {
-    throw new Error("対象投稿がありません。投稿IDを指定するか、自動検出=trueで直近投稿があることを確認してください。");
-  }
+    const settings = getSettings();
+    const fetchLimit = Math.min(500, parseInt(settings.get("取得件数") || "500", 10));
+    const rules = loadRules();
+    const ngWords = loadNgWords();
+    const processedSet = loadProcessedIds();
+    const pagingOptions = getCommentPagingOptions(settings);
+    const userLimits = loadUserReplyLimits(settings);
+    const commentScope = getCommentScope(settings);
+    const dryRun = (options && options.dryRun === true) || isDryRunEnabled(settings);
+
+    // 必要な権限スコープの不足は1日1回確認し、エラー通知で知らせる
+    checkRequiredScopesDaily();
+
+    const errors = [];
+    let targetCount = 0;
+    for (const page of pages) {
+      try {
+        const token = ensureValidPageToken(page.id);
 
-  const rules = loadRules();
-  const processedSet = loadProcessedIds();
+        // 対象投稿IDを取得
+        const postIds = getTargetPostIds(token, settings, page);
+        if (postIds.length === 0) {
+          console.log(`対象投稿がないためスキップします: ${page.name} (${page.id})`);
+          continue;
+        }
+        targetCount += postIds.length;
+
+        const ctx = {
+          page, token, fetchLimit, processedSet, pagingOptions, userLimits, commentScope, dryRun,
+          rules: filterRulesForPage(rules, page),
+          ngWords: filterRulesForPage(ngWords, page)
+        };
+        // 各投稿のコメントを処理
+        for (const postId of postIds) {
+          processComments(postId, ctx);
+        }
+      } catch (e) {
+        console.error(`ページ ${page.name} (${page.id}) の処理でエラー:`, e);
+        errors.push(`${page.name}: ${e && e.message ? e.message : e}`);
+        reportError(ERROR_CATEGORIES.AUTO_REPLY, page.name, e);
+      }
+    }
 
-  // 各投稿のコメントを処理
-  for (const postId of postIds) {
-    processComments(postId, token, fetchLimit, rules, processedSet);
+    if (errors.length > 0) throw new Error(errors.join('\n'));
+    if (targetCount === 0) {
+      throw new Error("対象投稿がありません。投稿IDを指定するか、自動検出=trueで直近投稿があることを確認してください。");
+    }
+  } finally {
+    if (lock.hasLock()) lock.releaseLock();
+    flushErrorNotifications();
   }
 }
 
@@ -289,24 +355,22 @@ function fetchAndRespond() {
 function updatePostsSheetManually() {
   const ui = SpreadsheetApp.getUi();
   try {
-    let token = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ACCESS_TOKEN);
-    if (!token) throw new Error('ページアクセストークンが未設定です');
-
-    // トークンチェック＆自動更新
-    if (!isTokenValid(token)) {
-      const ok = refreshToken();
-      if (!ok) throw new Error('トークンの自動更新に失敗しました');
-      token = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ACCESS_TOKEN);
-    }
+    const pages = getEnabledPages();
+    if (pages.length === 0) throw new Error('ページアクセストークンが未設定です');
 
     const settings = getSettings();
     const lookbackDays = parseInt(settings.get('検索日数') || '3', 10);
     const maxCount = parseInt(settings.get('最大投稿数') || '10', 10);
 
     // 取得とシート反映（関数内で反映済みのため、ここでは呼ぶだけ）
-    const posts = fetchRecentPosts(token, lookbackDays, maxCount);
-    const reels = typeof fetchRecentReels === 'function' ? fetchRecentReels(token, lookbackDays, maxCount) : [];
-    const total = (posts?.length || 0) + (reels?.length || 0);
+    let total = 0;
+    for (const page of pages) {
+      // トークンチェック＆自動更新
+      const token = ensureValidPageToken(page.id);
+      const posts = fetchRecentPosts(token, lookbackDays, maxCount, page.id);
+      const reels = typeof fetchRecentReels === 'function' ? fetchRecentReels(token, lookbackDays, maxCount) : [];
+      total += (posts?.length || 0) + (reels?.length || 0);
+    }
 
     ui.alert(`「取得した投稿」シートを更新しました。\n取得件数: ${total}`);
   } catch (e) {
@@ -318,37 +382,117 @@ function updatePostsSheetManually() {
 
 /**
  * 手動入力でトークン設定を行う（改良版）
+ * トークンで管理しているページを一覧表示し、運用するページ（複数可）を選択させる
  */
 function setupFromManualInput() {
   const htmlOutput = HtmlService.createHtmlOutput(`
     <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 500px;">
       <h3>Facebook トークン設定</h3>
-      <p style="margin-bottom: 20px;">Facebook Graph API Debugger などで取得した長期ユーザートークンを入力してください。</p>
+      <p style="margin-bottom: 20px;">Facebook Graph API Debugger などで取得した長期ユーザートークンを入力し、運用するページを選択してください（複数選択可）。</p>
 
-      <div style="margin-bottom: 20px;">
+      <div style="margin-bottom: 12px;">
         <label for="longToken" style="display: block; margin-bottom: 5px; font-weight: bold;">長期ユーザートークン</label>
         <textarea id="longToken" style="width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 4px; height: 80px;" placeholder="EAAG..."></textarea>
       </div>
 
+      <div style="margin-bottom: 20px;">
+        <button onclick="loadPages()" style="background-color: #2563EB; color: white; padding: 6px 14px; border: none; border-radius: 4px; cursor: pointer;">ページ一覧を取得</button>
+        <div id="pageArea" style="margin-top: 10px; display: none;">
+          <div style="margin-bottom: 5px; font-weight: bold;">運用するページ（「主ページ」で主ページを1つ選択）</div>
+          <div id="pageList" style="max-height: 140px; overflow-y: auto; border: 1px solid #ccc; border-radius: 4px; padding: 6px;"></div>
+        </div>
+        <div id="status" style="margin-top: 8px; color: #6B7280;"></div>
+      </div>
+
       <div style="text-align: center;">
-        <button onclick="submitForm()" style="background-color: #4CAF50; color: white; padding: 10px 20px; border: none; border-radius: 4px; cursor: pointer; margin-right: 10px;">設定実行</button>
+        <button id="submitButton" onclick="submitForm()" disabled style="background-color: #4CAF50; color: white; padding: 10px 20px; border: none; border-radius: 4px; cursor: pointer; margin-right: 10px;">設定実行</button>
         <button onclick="google.script.host.close()" style="background-color: #f44336; color: white; padding: 10px 20px; border: none; border-radius: 4px; cursor: pointer;">キャンセル</button>
       </div>
     </div>
 
     <script>
+      function loadPages() {
+        const longToken = document.getElementById('longToken').value.trim();
+        if (!longToken) {
+          alert('長期ユーザートークンを入力してください。');
+          return;
+        }
+        document.getElementById('status').textContent = 'ページ一覧を取得しています...';
+        google.script.run
+          .withSuccessHandler(onPagesLoaded)
+          .withFailureHandler(onFailure)
+          .listManagedPages(longToken);
+      }
+
+      function onPagesLoaded(result) {
+        if (!result.success) {
+          document.getElementById('status').textContent = '';
+          alert('❌ エラー: ' + result.error);
+          return;
+        }
+        const list = document.getElementById('pageList');
+        list.innerHTML = '';
+        const hasPrimary = result.pages.some(function(page) { return page.primary; });
+        result.pages.forEach(function(page, index) {
+          const row = document.createElement('div');
+          const label = document.createElement('label');
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.name = 'pageId';
+          checkbox.value = page.id;
+          checkbox.checked = page.selected || result.pages.length === 1;
+          label.appendChild(checkbox);
+          label.appendChild(document.createTextNode(' ' + page.name + '（ID: ' + page.id + '）'));
+          row.appendChild(label);
+
+          const primaryLabel = document.createElement('label');
+          primaryLabel.style.marginLeft = '8px';
+          primaryLabel.style.color = '#6B7280';
+          const radio = document.createElement('input');
+          radio.type = 'radio';
+          radio.name = 'primaryPageId';
+          radio.value = page.id;
+          radio.checked = hasPrimary ? page.primary : index === 0;
+          // 主ページにしたページは運用対象にも含める
+          radio.onchange = function() { checkbox.checked = true; };
+          primaryLabel.appendChild(radio);
+          primaryLabel.appendChild(document.createTextNode(' 主ページ'));
+          row.appendChild(primaryLabel);
+          list.appendChild(row);
+        });
+        document.getElementById('pageArea').style.display = 'block';
+        document.getElementById('status').textContent = result.pages.length + ' 件のページが見つかりました';
+        document.getElementById('submitButton').disabled = result.pages.length === 0;
+      }
+
       function submitForm() {
         const longToken = document.getElementById('longToken').value.trim();
+        const pageIds = Array.prototype.map.call(
+          document.querySelectorAll('input[name="pageId"]:checked'),
+          function(checkbox) { return checkbox.value; }
+        );
 
         if (!longToken) {
           alert('長期ユーザートークンを入力してください。');
           return;
         }
+        if (pageIds.length === 0) {
+          alert('運用するページを1つ以上選択してください。');
+          return;
+        }
+        // 主ページを先頭にして渡す（未選択・運用対象外の場合は選択を求める）
+        const primary = document.querySelector('input[name="primaryPageId"]:checked');
+        const primaryIndex = primary ? pageIds.indexOf(primary.value) : -1;
+        if (primaryIndex < 0) {
+          alert('運用するページの中から主ページを選択してください。');
+          return;
+        }
+        pageIds.unshift(pageIds.splice(primaryIndex, 1)[0]);
 
         google.script.run
           .withSuccessHandler(onSuccess)
           .withFailureHandler(onFailure)
-          .processTokenInput(longToken);
+          .processTokenInput(longToken, pageIds);
       }
 
       function onSuccess(result) {
@@ -371,23 +515,52 @@ function setupFromManualInput() {
       }
 
       function onFailure(error) {
+        document.getElementById('status').textContent = '';
         alert('❌ エラーが発生しました: ' + error.message);
       }
     </script>
   `)
   .setWidth(540)
-  .setHeight(360);
+  .setHeight(520);
 
   SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Facebook トークン設定');
 }
 
+/**
+ * HTMLダイアログから呼び出される: トークンで管理しているページ一覧を返す
+ * ページトークンはブラウザへ渡さない
+ * @param {string} longToken 長期ユーザートークン
+ * 運用中のページは選択済み、現在の主ページは primary として返す
+ * @return {Object} {success, pages: [{id, name, selected, primary}], error}
+ */
+function listManagedPages(longToken) {
+  try {
+    const store = loadPageTokenStore();
+    const primaryId = PropertiesService.getScriptProperties().getProperty(PROP_KEYS.PAGE_ID) || '';
+    const pages = getPageTokens(longToken).map(p => ({
+      id: String(p.id),
+      name: p.name || '',
+      selected: Object.prototype.hasOwnProperty.call(store, String(p.id)),
+      primary: String(p.id) === primaryId
+    }));
+    if (pages.length === 0) {
+      throw new Error('管理可能なページが見つかりません。ページの管理者権限があることを確認してください。');
+    }
+    return { success: true, pages };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * HTMLダイアログから呼び出される処理関数
+ * @param {string} longToken 長期ユーザートークン
+ * @param {Array<string>} pageIds 選択されたページIDの配列（先頭が主ページ）
  */
-function processTokenInput(longToken) {
+function processTokenInput(longToken, pageIds) {
   try {
     // トークン設定を実行
-    const result = setupTokensFromLongToken(longToken);
+    const result = setupTokensFromLongToken(longToken, pageIds);
 
     if (result.success) {
       // 設定シートに長期トークン情報を追記
@@ -427,9 +600,7 @@ function saveTokenToSettingsSheet(tokenInfo) {
     
     // 既存のトークン設定を更新または追加
     upsertSetting('長期トークン', tokenInfo.accessToken || '', 'Facebook長期アクセストークン');
-    upsertSetting('ページトークン', tokenInfo.pageAccessToken || '', 'Facebookページアクセストークン');
-    upsertSetting('ページ名', tokenInfo.pageName || '', 'Facebookページ名');
-    upsertSetting('ページID', tokenInfo.pageId || '', 'FacebookページID');
+    updatePageSettingsSheet(tokenInfo.pages);
     upsertSetting('トークン有効期限', tokenInfo.expiresAt ? tokenInfo.expiresAt.toLocaleString('ja-JP') : '', 'トークンの有効期限');
     upsertSetting('最終更新日時', new Date().toLocaleString('ja-JP'), '最後にトークンを更新した日時');
     
@@ -469,10 +640,13 @@ function showTokenInfo() {
     detailedInfo = `\n\n【詳細情報】\nエラー: ${error.message}`;
   }
   
+  const pageLines = tokenInfo.pages.length > 0
+    ? tokenInfo.pages.map((p, i) => `• ${p.name}（ID: ${p.id}）${i === 0 ? ' ※主ページ' : ''}`).join('\n')
+    : '未設定';
+
   const message = 
     `現在のトークン情報:\n\n` +
-    `ページ名: ${tokenInfo.pageName}\n` +
-    `ページID: ${tokenInfo.pageId}\n` +
+    `運用中のページ:\n${pageLines}\n` +
     `有効期限: ${tokenInfo.expiresAt ? tokenInfo.expiresAt.toLocaleString('ja-JP') : '不明'}\n` +
     `状態: ${tokenInfo.isValid ? '有効' : '無効または期限切れ'}` +
     detailedInfo;
@@ -503,6 +677,33 @@ function refreshTokenManually() {
   }
 }
 
+/**
+ * 設定中の Graph API バージョンと提供終了状況を表示
+ */
+function showApiVersionStatus() {
+  const status = checkGraphApiVersion();
+  const available = Object.keys(GRAPH_API_VERSIONS)
+    .filter(v => {
+      const sunset = GRAPH_API_VERSIONS[v].sunset;
+      return !sunset || new Date(`${sunset}T00:00:00Z`).getTime() > Date.now();
+    })
+    .join(', ');
+
+  let advice = '';
+  if (status.level === 'warning' || status.level === 'expired') {
+    advice = '\n\n設定シートの「Facebook API バージョン」を新しいバージョンに変更してください。';
+  } else if (status.level === 'unknown') {
+    advice = '\n\nバージョン表記（例: v23.0）が正しいか確認してください。';
+  }
+
+  SpreadsheetApp.getUi().alert(
+    `Graph API バージョン: ${status.version}\n` +
+    `${status.message}\n\n` +
+    `利用可能なバージョン（同梱の一覧）: ${available || '不明'}` +
+    advice
+  );
+}
+
 // ========== シート管理 ==========
 
 // （MVPの簡素化に伴い、非必須のユーティリティ関数は削除）
@@ -522,7 +723,11 @@ function rebuildAllSheets() {
     '• ルール\n' +
     '• ログ\n' +
     '• 処理済み\n' +
-    '• 取得した投稿\n\n' +
+    '• 取得した投稿\n' +
+    '• 予約投稿\n' +
+    '• 予約投稿履歴\n' +
+    '• NGワード\n' +
+    '• プレビュー\n\n' +
     'シート1は保持されます。\n\n' +
     '本当に実行しますか？',
     ui.ButtonSet.YES_NO
@@ -557,7 +762,11 @@ function rebuildAllSheets() {
       '• ルール\n' +
       '• ログ\n' +
       '• 処理済み\n' +
-      '• 取得した投稿\n\n' +
+      '• 取得した投稿\n' +
+      '• 予約投稿\n' +
+      '• 予約投稿履歴\n' +
+      '• NGワード\n' +
+      '• プレビュー\n\n' +
       'シート1は保持されています。'
     );
     
@@ -589,9 +798,9 @@ function onEdit(e) {
       updates.push({ col: 1, val: enabled });
     }
 
-    // タイムゾーンは固定（Asia/Tokyo）
-    if (tz !== 'Asia/Tokyo') {
-      tz = 'Asia/Tokyo';
+    // デフォルト: タイムゾーン（スクリプトのタイムゾーン）
+    if (!tz) {
+      tz = Session.getScriptTimeZone();
       updates.push({ col: 6, val: tz });
     }
 
@@ -623,9 +832,14 @@ function updateSheetsToLatest() {
     SpreadsheetApp.getUi().alert(
       '✅ シートを最新の状態に更新しました！\n\n' +
       '実施内容：\n' +
-      '• ルール: ヘッダー名称の更新とプルダウン再適用\n' +
-      '• 取得した投稿: シートの存在確認\n' +
-      '• 予約投稿: シートの追加/確認とプルダウン適用\n' +
+      '• ルール: ヘッダー名称の更新・不足列（開始日時・終了日時・有効曜日・有効時間帯・対象投稿）の追加とプルダウン再適用\n' +
+      '• ログ: 不足列（バリエーション・チャネル・いいね・ユーザーID等）の追加\n' +
+      '• 処理済み: 不足列（投稿ID）の追加\n' +
+      '• 取得した投稿: シートの存在確認・不足列（種別）の追加\n' +
+      '• 予約投稿: シートの追加/確認・不足列（画像URL・リンクURL・DriveファイルID・繰り返し・操作等）の追加とプルダウン適用\n' +
+      '• 予約投稿履歴: シートの追加/確認・不足列（操作・変更前の本文）の追加\n' +
+      '• NGワード: シートの追加/確認とプルダウン適用\n' +
+      '• プレビュー: シートの追加/確認（ドライランの結果）\n' +
       '• 設定: デフォルト値の補完\n' +
       '• デザイン: ヘッダー配色/交互行/状態の色分けを適用'
     );
@@ -634,18 +848,41 @@ function updateSheetsToLatest() {
   }
 }
 /**
- * 予約投稿を手動実行（予約中かつ期限到来分）
+ * 予約投稿を手動実行（予約中かつ期限到来分、Facebook予約の登録・同期）
  */
 function runScheduledPostsNow() {
   try {
     const res = processScheduledPosts();
+    if (res && res.busy) {
+      SpreadsheetApp.getUi().alert('別の予約投稿の処理（トリガー）が実行中のため、手動実行をスキップしました。しばらくしてから再度お試しください。');
+      return;
+    }
     const posted = res && typeof res.posted === 'number' ? res.posted : 0;
     const failed = res && typeof res.failed === 'number' ? res.failed : 0;
+    const scheduled = res && typeof res.scheduled === 'number' ? res.scheduled : 0;
+    const edited = res && typeof res.edited === 'number' ? res.edited : 0;
     SpreadsheetApp.getUi().alert(
       '手動実行が完了しました。\n' +
-      `投稿: ${posted} 件 / 失敗: ${failed} 件`
+      `投稿: ${posted} 件 / Facebook予約の登録・更新: ${scheduled} 件 / 公開済みの更新・削除: ${edited} 件 / 失敗: ${failed} 件`
     );
   } catch (e) {
     SpreadsheetApp.getUi().alert(`❌ 手動実行でエラー: ${e && e.message ? e.message : e}`);
   }
 }
+
+/**
+ * ログ整理を手動実行（保持日数を過ぎたログ・処理済みをアーカイブ/削除）
+ */
+function runLogRetentionNow() {
+  try {
+    const res = applyLogRetention();
+    SpreadsheetApp.getUi().alert(
+      `ログ整理（${res.mode}）が完了しました。\n` +
+      `ログ: ${res.logs} 件 / 処理済み: ${res.processed} 件\n` +
+      `監視中の投稿などのため保持した処理済み: ${res.kept} 件\n` +
+      `削除したコメント取得再開カーソル（監視対象外の投稿）: ${res.cursors} 件`
+    );
+  } catch (e) {
+    SpreadsheetApp.getUi().alert(`❌ ログ整理でエラー: ${e && e.message ? e.message : e}`);
+  }
+}